@@ -0,0 +1,164 @@
+import { Vector3 } from 'three';
+import { COMBAT_EVENTS, PLAYER_TARGET_ID } from './CombatSimulation.js';
+
+// ============================================================================
+// COMBAT NETWORKING
+// ============================================================================
+// Host-authoritative multiplayer on top of the CombatSimulation event stream.
+// Every peer runs its own simulation. The host's is authoritative: it decides
+// every hit and kill and sends them out as events. Clients predict their own
+// shots (they fly and hit locally at once) but only take damage or credit
+// when the host's HIT arrives; a predicted hit the host never confirms comes
+// back as a local HIT_REJECTED event.
+//
+// The transport is anything with send(message) and onMessage(handler), where
+// handler(message, fromPeerId). A host's send goes to every client; a
+// client's goes to the host. createLoopbackTransport is an in-process one for
+// tests and split-screen play.
+
+export const NET_ROLES = {
+  HOST: 'host',
+  CLIENT: 'client',
+};
+
+// The actions a client may announce; hits and kills only come from the host
+const CLIENT_EVENTS = new Set([
+  COMBAT_EVENTS.FIRE,
+  COMBAT_EVENTS.PICKUP,
+  COMBAT_EVENTS.PASSIVE_START,
+  COMBAT_EVENTS.PASSIVE_END,
+  COMBAT_EVENTS.LOCK,
+]);
+
+const HOST_PEER_ID = 'host';
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+// Events are plain objects apart from their vectors, which travel as
+// { v3: [x, y, z] }. Functions in weapon configs (custom splash falloff
+// curves) don't survive the trip; remote copies use the default curve.
+export function serializeCombatEvent(event) {
+  return JSON.stringify(event, (key, value) => (value?.isVector3 ? { v3: value.toArray() } : value));
+}
+
+export function deserializeCombatEvent(message) {
+  return JSON.parse(message, (key, value) => (
+    Array.isArray(value?.v3) ? new Vector3().fromArray(value.v3) : value
+  ));
+}
+
+// ============================================================================
+// LOOPBACK TRANSPORT
+// ============================================================================
+// A host endpoint plus one per connect(peerId) call; clients should connect
+// with their combatant id, which the host checks their events against.
+// Messages queue until flush(), so a test decides when each hop happens:
+// anything sent while a flush delivers waits for the next one.
+export function createLoopbackTransport() {
+  const queue = [];
+  const peers = new Map();
+  
+  const createEndpoint = (peerId) => {
+    const handlers = new Set();
+    peers.set(peerId, handlers);
+    
+    return {
+      peerId,
+      send(message) {
+        queue.push({ from: peerId, message });
+      },
+      onMessage(handler) {
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+      },
+      close() {
+        peers.delete(peerId);
+      },
+    };
+  };
+  
+  return {
+    host: createEndpoint(HOST_PEER_ID),
+    connect: createEndpoint,
+    
+    // Returns how many messages went out
+    flush() {
+      const batch = queue.splice(0);
+      batch.forEach(({ from, message }) => {
+        peers.forEach((handlers, peerId) => {
+          if (peerId === from) return;
+          if (from !== HOST_PEER_ID && peerId !== HOST_PEER_ID) return;
+          handlers.forEach(handler => handler(message, from));
+        });
+      });
+      return batch.length;
+    },
+    
+    get pending() {
+      return queue.length;
+    },
+  };
+}
+
+// ============================================================================
+// SESSION
+// ============================================================================
+// Connects one simulation to a transport. The host sends every event and
+// relays what clients announce; a client sends only its own combatant's
+// actions and plays everything else from the host into its simulation.
+// onEvent(event) sees each remote event after it has been applied, for the
+// parts the game owns (pickup effects, lock warnings, enemy health).
+export class CombatNetSession {
+  constructor({ simulation, transport, role = NET_ROLES.HOST, combatantId = PLAYER_TARGET_ID, onEvent } = {}) {
+    this.simulation = simulation;
+    this.transport = transport;
+    this.role = role;
+    this.combatantId = combatantId;
+    this.onEvent = onEvent;
+    
+    simulation.setAuthoritative(this.isHost);
+    this.unsubscribe = simulation.subscribe(event => this.send(event));
+    this.unlisten = transport.onMessage((message, from) => this.receive(message, from));
+  }
+  
+  get isHost() {
+    return this.role === NET_ROLES.HOST;
+  }
+  
+  isOwnAction(event) {
+    return CLIENT_EVENTS.has(event.type) && event.combatantId === this.combatantId;
+  }
+  
+  send(event) {
+    if (event.type === COMBAT_EVENTS.HIT_REJECTED) return;
+    if (!this.isHost && !this.isOwnAction(event)) return;
+    
+    this.transport.send(serializeCombatEvent(event));
+  }
+  
+  receive(message, from) {
+    const event = deserializeCombatEvent(message);
+    
+    if (this.isHost) {
+      // A client speaks only for itself, and never for hits
+      if (!CLIENT_EVENTS.has(event.type)) return;
+      if (from != null && event.combatantId !== from) return;
+      
+      this.simulation.applyRemoteEvent(event);
+      this.transport.send(message);
+    } else {
+      // The host relays our own actions back to us
+      if (this.isOwnAction(event)) return;
+      this.simulation.applyRemoteEvent(event);
+    }
+    
+    this.onEvent?.(event);
+  }
+  
+  dispose() {
+    this.unsubscribe();
+    this.unlisten?.();
+    this.simulation.setAuthoritative(true);
+  }
+}
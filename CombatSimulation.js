@@ -0,0 +1,2603 @@
+import { Vector3, Quaternion } from 'three';
+
+// ============================================================================
+// COMBAT SYSTEM CONFIGURATION
+// ============================================================================
+export const COMBAT_CONFIG = {
+  // Targeting System
+  TARGETING: {
+    AUTO_LOCKON_RANGE: 150,
+    TARGET_CYCLE_COOLDOWN: 200,
+    LOCKON_INDICATOR_SIZE: 2,
+    MAX_MISSILE_TARGETS: 8,
+    TARGET_LEAD_FACTOR: 0.5,
+    LOS_GRACE_PERIOD: 500,          // ms a target may stay out of sight before its lock breaks
+    LOCK_CONE_ANGLE: 35,            // Degrees either side of the aim direction (180 = all around)
+    LOCK_ACQUIRE_TIME: 400,         // ms a target must hold before the lock is solid (0 = instant)
+    TARGET_LOST_FALLBACK: 'nearest', // When the target dies or leaves: 'nearest' | 'next' | 'none'
+    SCORE_WEIGHTS: {                // Lock priority mix; enemies may set threat (0-1)
+      ANGLE: 0.45,
+      DISTANCE: 0.35,
+      THREAT: 0.1,
+      BOSS: 0.1,
+    },
+  },
+  
+  // Gun Weapons
+  GUNS: {
+    RAPID: {
+      name: 'RAPID',
+      type: 'gun',
+      behavior: 'projectile',
+      damageType: 'energy',
+      fireRate: 100,
+      damage: 10,
+      projectileSpeed: 80,
+      projectileLifetime: 2000,
+      spread: 0,
+      projectilesPerShot: 1,
+      unlimited: true,
+      heat: { perShot: 3 },
+      color: '#00ff88',
+      levels: [
+        {},
+        { label: 'TWIN', projectilesPerShot: 2, barrelSpacing: 0.8 },
+        { label: 'HYPER', projectilesPerShot: 2, barrelSpacing: 0.8, damage: 18, color: '#3399ff' },
+      ],
+      description: 'Standard rapid-fire cannon',
+    },
+    FLAK: {
+      name: 'FLAK',
+      type: 'gun',
+      behavior: 'projectile',
+      damageType: 'explosive',
+      fireRate: 250,
+      damage: 15,
+      projectileSpeed: 60,
+      projectileLifetime: 1500,
+      spread: 0.4,
+      projectilesPerShot: 8,
+      duration: 10000,
+      explosionRadius: 5,
+      splashFalloff: 'linear',
+      splashBossMultiplier: 0.5,
+      color: '#ff8844',
+      levels: [
+        {},
+        { projectilesPerShot: 10, damage: 18 },
+        { projectilesPerShot: 12, damage: 20, explosionRadius: 7 },
+      ],
+      description: 'Wide cone explosive shells',
+    },
+    LIGHTNING: {
+      name: 'LIGHTNING',
+      type: 'gun',
+      behavior: 'projectile',
+      damageType: 'energy',
+      fireRate: 150,
+      damage: 8,
+      projectileSpeed: 120,
+      projectileLifetime: 800,
+      spread: 0.1,
+      projectilesPerShot: 1,
+      duration: 10000,
+      chainCount: 4,
+      chainRange: 15,
+      chainFalloff: 0.75,
+      color: '#88ccff',
+      levels: [
+        {},
+        { chainCount: 6 },
+        { chainCount: 8, chainRange: 20, damage: 10 },
+      ],
+      description: 'Chain lightning arcs between enemies',
+    },
+    BEAM: {
+      name: 'BEAM',
+      type: 'gun',
+      behavior: 'beam',
+      damageType: 'energy',
+      fireRate: 0,
+      damage: 50,
+      beamWidth: 1.5,
+      beamRange: 100,
+      duration: 10000,
+      isConstant: true,
+      color: '#ff00ff',
+      levels: [
+        {},
+        { damage: 65, beamWidth: 2 },
+        { damage: 80, beamWidth: 2.5, beamRange: 130 },
+      ],
+      description: 'Continuous high-power laser beam',
+    },
+    GRAVITY: {
+      name: 'GRAVITY',
+      type: 'gun',
+      behavior: 'projectile',
+      damageType: 'gravity',
+      fireRate: 400,
+      damage: 25,
+      projectileSpeed: 80,
+      projectileLifetime: 2000,
+      spread: 0,
+      projectilesPerShot: 1,
+      duration: 10000,
+      gravityRadius: 25,
+      gravityStrength: 40,
+      collapseDelay: 1200,
+      color: '#9900ff',
+      levels: [
+        {},
+        { gravityRadius: 30 },
+        { gravityRadius: 35, gravityStrength: 55 },
+      ],
+      unlockable: true,
+      description: 'Hit creates gravity well on enemy, pulling squad together then destroying all',
+    },
+  },
+  
+  // Missile Weapons
+  MISSILES: {
+    HELLFIRE: {
+      name: 'HELLFIRE',
+      type: 'missile',
+      behavior: 'multiLockMissile',
+      damageType: 'explosive',
+      fireRate: 150,
+      damage: 40,
+      missileSpeed: 45,
+      turnRate: 8,
+      lifetime: 4000,
+      maxAmmo: 32,
+      reloadTime: 20000,
+      multiLock: true,
+      maxTargets: 8,
+      paintInterval: 120,             // Hold to paint one lock per interval, release to fire
+      guidance: 'proportional-navigation',
+      navigationConstant: 4,
+      maxG: 45,
+      armingDelay: 100,
+      retarget: true,
+      color: '#ff4400',
+      trailColor: '#ff8800',
+      levels: [
+        {},
+        { maxTargets: 12 },
+        { maxTargets: 16, damage: 50 },
+      ],
+      description: 'Multi-lock homing missiles',
+    },
+    SMARTBOMB: {
+      name: 'SMARTBOMB',
+      type: 'missile',
+      behavior: 'screenClear',
+      damageType: 'explosive',
+      damage: 9999,
+      maxAmmo: 1,
+      isScreenClear: true,
+      bossImmune: true,
+      effectDuration: 1000,
+      color: '#ffffff',
+      description: 'Destroys all enemies on screen (bosses immune)',
+    },
+    BUSTER: {
+      name: 'BUSTER',
+      type: 'missile',
+      behavior: 'missile',
+      damageType: 'kinetic',
+      fireRate: 0,
+      damage: 500,
+      missileSpeed: 100,
+      turnRate: 2,
+      lifetime: 5000,
+      maxAmmo: 1,
+      bossOnly: true,
+      penetrating: true,
+      maxPenetrations: 6,
+      seekParts: ['core'],            // Homes on these part types when the target has them
+      guidance: 'predictive-intercept',
+      color: '#ffff00',
+      trailColor: '#ff8800',
+      levels: [
+        {},
+        { maxPenetrations: 8 },
+        { maxPenetrations: 10, damage: 650 },
+      ],
+      description: 'Anti-capital ship missile (misses normal enemies)',
+    },
+    BARRAGE: {
+      name: 'BARRAGE',
+      type: 'missile',
+      behavior: 'missile',
+      damageType: 'explosive',
+      fireRate: 75,
+      damage: 30,
+      missileSpeed: 55,
+      turnRate: 6,
+      lifetime: 3000,
+      unlimited: true,
+      duration: 20000,
+      multiLock: false,
+      boostTime: 600,                 // Burns at boostSpeed, then coasts
+      boostSpeed: 70,
+      coastDrag: 0.4,
+      minSpeed: 35,
+      heat: { perShot: 4 },
+      color: '#ff6600',
+      trailColor: '#ff4400',
+      levels: [
+        {},
+        { fireRate: 60 },
+        { fireRate: 50, damage: 35 },
+      ],
+      description: 'Unlimited rapid-fire missiles',
+    },
+    THOR: {
+      name: 'THOR',
+      type: 'missile',
+      behavior: 'orbitalStrike',
+      damageType: 'kinetic',
+      fireRate: 300,
+      damage: 150,
+      rodImpactInstant: true,
+      rodDownForce: 50,
+      rodDamageRadius: 10,
+      splashFalloff: 'quadratic',
+      splashBossMultiplier: 1,
+      unlimited: true,
+      duration: 15000,
+      maxPaintedTargets: 5,
+      painterColor: '#ff0000',
+      painterWidth: 0.15,
+      rodColor: '#ffffff',
+      color: '#00ffff',
+      levels: [
+        {},
+        { rodDamageRadius: 12 },
+        { rodDamageRadius: 14, maxPaintedTargets: 7 },
+      ],
+      description: 'Orbital kinetic strike - instant rod impact pushes targets to ground',
+    },
+  },
+  
+  // Passive Powerups
+  PASSIVES: {
+    MULTILOCK: {
+      name: 'MULTI-LOCK',
+      duration: 30000,
+      color: '#ffaa00',
+      description: 'Lock entire squadron, fires one projectile per enemy in gun mode',
+      locksWeaponSwitch: true,
+      forcesGunMode: true,
+    },
+    OVERDRIVE: {
+      name: 'OVERDRIVE',
+      duration: 30000,
+      color: '#00ffff',
+      description: '2x movement speed, 2x barrel roll, 50% faster cooldowns',
+      movementMultiplier: 2.0,
+      barrelRollMultiplier: 2.0,
+      evadeCooldownReduction: 0.5,
+      boostMultiplier: 2.0,
+      boostCooldownReduction: 0.5,
+      heatCooldownReduction: 0.5,
+    },
+    ACTIVE_ARMOR: {
+      name: 'ACTIVE ARMOR',
+      duration: 30000,
+      color: '#4488ff',
+      description: 'Blue explosions on hit, 90% damage reduction',
+      damageReduction: 0.9,
+      explosionColor: '#4488ff',
+      explosionRadius: 3,
+    },
+    POINT_DEFENSE: {
+      name: 'POINT DEFENSE',
+      duration: 30000,
+      color: '#66ff99',
+      description: 'Auto-fires at incoming missiles and shootable shots nearby',
+      radius: 30,
+      fireRate: 200,
+      damage: 1,
+      accuracy: 0.85,
+    },
+  },
+  
+  // Weapon inventory (collected powerups kept per weapon type)
+  INVENTORY: {
+    ENABLED: true,
+    MAX_SLOTS: 5,
+    PAUSE_UNEQUIPPED_TIMERS: true,
+    EQUIP_ON_PICKUP: true,
+    CYCLE_COOLDOWN: 250,
+    DEFAULT_GUN: 'RAPID',
+    DEFAULT_MISSILE: 'HELLFIRE',
+    WHEEL_RADIUS: 140,
+  },
+  
+  // Weapon upgrade levels (per-weapon stat overrides in each weapon's levels table)
+  UPGRADES: {
+    ENABLED: true,
+    MAX_LEVEL: 3,
+    UPGRADE_ON_DUPLICATE: true,
+    LEVELS_LOST_ON_DEATH: 1,
+  },
+  
+  // Charge shot (opt-in per gun with chargeShot: true or an override object)
+  CHARGE: {
+    THRESHOLD: 350,
+    LEVEL_TIME: 500,
+    MAX_LEVEL: 3,
+    DAMAGE_PER_LEVEL: 4,
+    RADIUS_PER_LEVEL: 4,
+    SPEED: 70,
+    LIFETIME: 2500,
+    HOMING_TURN_RATE: 5,
+    COLOR: '#66ffcc',
+  },
+  
+  // Weapon heat (opt-in per weapon with heat: true or an override object)
+  HEAT: {
+    MAX: 100,
+    PER_SHOT: 5,
+    COOL_RATE: 30,
+    COOL_DELAY: 250,
+    OVERHEAT_LOCKOUT: 2000,
+    VENT_MULTIPLIER: 4,
+    WARNING_LEVEL: 0.75,
+  },
+  
+  // Area-of-effect damage
+  SPLASH: {
+    DEFAULT_FALLOFF: 'linear',
+    MIN_FALLOFF: 0.1,
+    FALLOFF_CURVES: {
+      constant: () => 1,
+      linear: (t) => 1 - t,
+      quadratic: (t) => 1 - t * t,
+      smooth: (t) => 1 - t * t * (3 - 2 * t),
+    },
+  },
+  
+  // Player defense model
+  PLAYER: {
+    HIT_RADIUS: 1.5,
+    MAX_HULL: 100,
+    MAX_SHIELD: 50,
+    SHIELD_REGEN_RATE: 12,
+    SHIELD_REGEN_DELAY: 3000,
+    INVULNERABILITY_DURATION: 400,
+    DEFAULT_DAMAGE_TYPE: 'kinetic',
+    RESISTANCES: {
+      kinetic: 0,
+      energy: 0.1,
+      explosive: 0,
+      gravity: 0.25,
+    },
+  },
+  
+  // Hostile fire (enemies using COMBAT_CONFIG weapons against the player)
+  ENEMY_FIRE: {
+    ENGAGE_RANGE: 120,
+    DAMAGE_MULTIPLIER: 0.5,
+    FIRE_RATE_MULTIPLIER: 5,
+    BEAM_TRACK_RATE: 1.5,
+    INTERCEPT_RADIUS: 1,            // Player shots vs hostile missiles and shootable shots
+  },
+  
+  // Enemy defenses against player missiles; defaults for enemy.countermeasures
+  COUNTERMEASURES: {
+    MISSILE_HEALTH: 1,              // Missile configs may set missileHealth
+    FLARE_RANGE: 30,                // Flares go out when a missile closes to this range
+    FLARE_COOLDOWN: 2000,
+    FLARE_DECOY_CHANCE: 0.6,        // Per missile per flare; missile decoyResistance lowers it
+    FLARE_LIFETIME: 1500,
+    FLARE_DROP_SPEED: 6,
+    FLARE_HIT_RADIUS: 1.5,
+    FLARE_COLOR: '#ffdd88',
+    POINT_DEFENSE_RANGE: 25,
+    POINT_DEFENSE_FIRE_RATE: 250,
+    POINT_DEFENSE_DAMAGE: 1,
+    POINT_DEFENSE_ACCURACY: 0.5,
+  },
+  
+  // Friendly units (the friendlies list). They are never locked, homed on, pulled
+  // or caught in splash, chains or smartbombs; only gun shots and beams can hit them.
+  IFF: {
+    FRIENDLY_FIRE: true,            // Weapon configs may set friendlyFire to override
+    FRIENDLY_FIRE_MULTIPLIER: 1,
+    MARKER_COLOR: '#33ff99',
+    MARKER_RANGE: 150,              // Friendly markers show within this range of the player
+  },
+  
+  // Combatants sharing one simulation. Shots only collide with combatants on
+  // other teams; enemies are on ENEMY_TEAM, hostile to every combatant.
+  TEAMS: {
+    PLAYER_TEAM: 'player',          // Team of the default combatant
+    ENEMY_TEAM: 'enemy',
+  },
+  
+  // Networked play: the host's simulation is authoritative, clients predict
+  // their own shots and wait for its hit confirmations
+  NETWORK: {
+    CONFIRM_TIMEOUT: 500,           // ms a predicted hit waits before it's rejected
+  },
+  
+  // Fixed-timestep simulation (seconds per step; extra frame time carries over)
+  SIMULATION: {
+    STEP: 1 / 60,
+    MAX_STEPS_PER_FRAME: 5,
+  },
+  
+  // Uniform grid broadphase shared by hit tests, splash, chains, gravity pulls
+  // and lock-on range queries
+  BROADPHASE: {
+    ENABLED: true,
+    CELL_SIZE: 10,
+    DEFAULT_HIT_RADIUS: 2,          // Assumed for enemies without a hitRadius
+  },
+
+  // Entity budgets and instanced rendering. Past a budget the oldest entity of
+  // that kind is recycled to make room for the new one.
+  PERFORMANCE: {
+    MAX_PROJECTILES: 256,           // Gun shots, hostile shots included
+    MAX_MULTI_LOCK_PROJECTILES: 64,
+    MAX_MISSILES: 64,
+    MAX_PROJECTILE_LIGHTS: 6,       // Real point lights, given to the newest shots
+    GLOW_SCALE: 2.5,                // Emissive glow sprite size relative to the shot
+    GLOW_OPACITY: 0.35,
+    TRAIL_SEGMENTS: 4,              // Instanced puffs behind each missile
+    TRAIL_SPACING: 0.35,
+  },
+
+  // Visual Effects
+  EFFECTS: {
+    MUZZLE_FLASH_DURATION: 50,
+    EXPLOSION_DURATION: 300,
+    CHAIN_LIGHTNING_SEGMENTS: 8,
+    CHAIN_LIGHTNING_JITTER: 1.2,
+    CHAIN_LIGHTNING_DURATION: 180,
+    BEAM_PULSE_SPEED: 10,
+    GRAVITY_WELL_ROTATION: 3,
+    THOR_PAINTER_PULSE: 5,
+  },
+};
+
+// ============================================================================
+// SIMULATION HELPERS
+// ============================================================================
+
+// Target id used when the player is the thing being shot at
+export const PLAYER_TARGET_ID = 'player';
+
+// Combat event types (see CombatSimulation.subscribe)
+export const COMBAT_EVENTS = {
+  FIRE: 'fire',
+  HIT: 'hit',
+  KILL: 'kill',
+  PICKUP: 'pickup',
+  PASSIVE_START: 'passiveStart',
+  PASSIVE_END: 'passiveEnd',
+  LOCK: 'lock',
+  HIT_REJECTED: 'hitRejected',       // Local only: a predicted hit the host never confirmed
+};
+
+// Origin of events only the authority decides. Everything else is numbered
+// under the combatant that caused it.
+const WORLD_ORIGIN = 'world';
+const WORLD_EVENTS = new Set([COMBAT_EVENTS.HIT, COMBAT_EVENTS.KILL, COMBAT_EVENTS.HIT_REJECTED]);
+
+// Plain copy of a tracked target for an event; resolveTarget finds it again
+function snapshotTarget(target) {
+  if (!target) return null;
+  return { id: target.id, partId: target.partId ?? null, position: target.position?.clone() || null };
+}
+
+// Walks from the struck enemy to the nearest unvisited enemy within chainRange,
+// up to chainCount jumps. Damage falls off by chainFalloff per jump.
+// candidatesNear(position, radius) lists what may be jumped to.
+function findChainTargets(sourceEnemy, candidatesNear, config, excludeIds = []) {
+  const chain = [];
+  const visited = new Set([sourceEnemy.id, ...excludeIds]);
+  const falloff = config.chainFalloff ?? 1;
+  let current = sourceEnemy;
+  
+  for (let i = 0; i < config.chainCount; i++) {
+    let nearest = null;
+    let nearestDist = config.chainRange;
+    
+    candidatesNear(current.position, config.chainRange).forEach(enemy => {
+      if (!enemy || !enemy.position || enemy.health <= 0) return;
+      if (visited.has(enemy.id)) return;
+      
+      const dist = current.position.distanceTo(enemy.position);
+      if (dist < nearestDist) {
+        nearest = enemy;
+        nearestDist = dist;
+      }
+    });
+    
+    if (!nearest) break;
+    
+    visited.add(nearest.id);
+    chain.push({
+      from: current,
+      to: nearest,
+      damage: config.damage * Math.pow(falloff, i + 1),
+    });
+    current = nearest;
+  }
+  
+  return chain;
+}
+
+// Radial damage around an impact point. Distance is measured to the edge of each
+// enemy's hitRadius and scaled by the weapon's splashFalloff curve.
+function computeSplashDamage(center, radius, config, enemies, excludeIds = []) {
+  const { FALLOFF_CURVES, DEFAULT_FALLOFF, MIN_FALLOFF } = COMBAT_CONFIG.SPLASH;
+  const curve = typeof config.splashFalloff === 'function'
+    ? config.splashFalloff
+    : FALLOFF_CURVES[config.splashFalloff || DEFAULT_FALLOFF] || FALLOFF_CURVES.linear;
+  const baseDamage = config.splashDamage ?? config.damage;
+  const hits = [];
+  
+  if (!center || !radius) return hits;
+  
+  enemies.forEach(enemy => {
+    if (!enemy || !enemy.position || enemy.health <= 0) return;
+    if (excludeIds.includes(enemy.id)) return;
+    
+    const distance = Math.max(0, center.distanceTo(enemy.position) - (enemy.hitRadius || 0));
+    if (distance > radius) return;
+    
+    const falloff = Math.max(MIN_FALLOFF, curve(distance / radius));
+    const bossMultiplier = enemy.isBoss ? (config.splashBossMultiplier ?? 1) : 1;
+    
+    hits.push({
+      enemy,
+      distance,
+      falloff,
+      damage: baseDamage * falloff * bossMultiplier,
+    });
+  });
+  
+  return hits;
+}
+
+// Live copy of an enemy we're tracking, so homing follows immutable enemy
+// updates. Falls back on the stored snapshot when the enemy list doesn't have it.
+// Locked parts follow the live enemy; once the part is destroyed the hull is
+// the target.
+function resolveLive(target, grid) {
+  if (!target) return null;
+  
+  const live = grid.get(target.id);
+  if (live && target.partId != null) return resolvePartTarget(live, target.partId) || live;
+  return live || target;
+}
+
+// Entities without a team (the game's own hostileProjectiles) count as enemy fire
+function isSameTeam(entity, team) {
+  return (entity.team ?? COMBAT_CONFIG.TEAMS.ENEMY_TEAM) === team;
+}
+
+// One shooter in the world: the player, a co-op partner, a versus rival or an
+// AI squad flying the player weapon set. Loadout, passives and handlers are
+// its own; entities it spawns carry its id and team.
+function createCombatant(id, team) {
+  return {
+    id,
+    team,
+    position: null,
+    hitRadius: COMBAT_CONFIG.PLAYER.HIT_RADIUS,
+    handlers: null,
+    loadout: {
+      gun: { config: null, timer: 0 },
+      missile: { config: null, timer: 0, ammo: 0, reloading: false, reloadElapsed: 0, depleted: false },
+    },
+    passives: {},
+    lastPointDefenseShot: -Infinity,
+    remote: false,                   // Simulated by another peer; its hits arrive as events
+    entity: null,                    // Hit-test stand-in, reused (see getCombatantEntity)
+  };
+}
+
+// ============================================================================
+// HIT SHAPES (swept collision)
+// ============================================================================
+// Moving shots test the whole segment they covered in a step, not just where
+// they ended up, so fast shots can't tunnel through a target. An enemy is a
+// sphere of the caller's radius unless it carries a hitShape:
+//   { type: 'sphere', radius }
+//   { type: 'capsule', radius, halfLength, axis }   axis defaults to +Z
+//   { type: 'box', halfExtents }                     Vector3 or [x, y, z]
+// Any shape may add an `offset` from the enemy position. Capsules and boxes
+// turn with `quaternion` on the shape, or on the enemy when present.
+const sweepStart = new Vector3();
+const sweepDir = new Vector3();
+const sweepCenter = new Vector3();
+const sweepVector = new Vector3();
+const sweepCapA = new Vector3();
+const sweepCapB = new Vector3();
+const sweepLocalOrigin = new Vector3();
+const sweepLocalDir = new Vector3();
+const sweepInverse = new Quaternion();
+const DEFAULT_CAPSULE_AXIS = new Vector3(0, 0, 1);
+
+function readVector(value, out) {
+  return Array.isArray(value) ? out.fromArray(value) : out.copy(value);
+}
+
+function getShapeRotation(entity, shape) {
+  return shape.quaternion || entity.quaternion || null;
+}
+
+function getShapeCenter(entity, shape, out) {
+  out.copy(entity.position);
+  if (!shape.offset) return out;
+  
+  const offset = readVector(shape.offset, sweepVector);
+  const rotation = getShapeRotation(entity, shape);
+  if (rotation) offset.applyQuaternion(rotation);
+  return out.add(offset);
+}
+
+// Radius of a sphere around the enemy position that contains its hit shape
+// and parts
+function getHitShapeRadius(entity) {
+  const radius = getHullRadius(entity);
+  if (!entity.parts) return radius;
+  
+  return entity.parts.reduce((max, part) => {
+    const offset = part.offset ? readVector(part.offset, sweepVector).length() : 0;
+    return Math.max(max, offset + (part.hitRadius ?? DEFAULT_PART_RADIUS));
+  }, radius);
+}
+
+function getHullRadius(entity) {
+  const shape = entity.hitShape;
+  const fallback = entity.hitRadius || COMBAT_CONFIG.BROADPHASE.DEFAULT_HIT_RADIUS;
+  if (!shape) return fallback;
+  
+  const offset = shape.offset ? readVector(shape.offset, sweepVector).length() : 0;
+  if (shape.type === 'box') return offset + readVector(shape.halfExtents, sweepVector).length();
+  if (shape.type === 'capsule') return offset + shape.halfLength + shape.radius;
+  return offset + (shape.radius ?? fallback);
+}
+
+// Distances below are along a unit direction, capped at length. Each returns
+// the distance to the first point inside the shape, 0 when starting inside,
+// or null on a miss.
+function raySphere(origin, dir, length, center, radius) {
+  const ox = origin.x - center.x;
+  const oy = origin.y - center.y;
+  const oz = origin.z - center.z;
+  const b = ox * dir.x + oy * dir.y + oz * dir.z;
+  const c = ox * ox + oy * oy + oz * oz - radius * radius;
+  
+  if (c <= 0) return 0;
+  if (b > 0) return null;
+  
+  const h = b * b - c;
+  if (h < 0) return null;
+  
+  const t = -b - Math.sqrt(h);
+  return t <= length ? t : null;
+}
+
+function rayCapsule(origin, dir, length, a, b, radius) {
+  let best = null;
+  const consider = (t) => {
+    if (t !== null && (best === null || t < best)) best = t;
+  };
+  
+  consider(raySphere(origin, dir, length, a, radius));
+  consider(raySphere(origin, dir, length, b, radius));
+  
+  // Cylinder body between the caps
+  const bax = b.x - a.x, bay = b.y - a.y, baz = b.z - a.z;
+  const oax = origin.x - a.x, oay = origin.y - a.y, oaz = origin.z - a.z;
+  const baba = bax * bax + bay * bay + baz * baz;
+  const bard = bax * dir.x + bay * dir.y + baz * dir.z;
+  const baoa = bax * oax + bay * oay + baz * oaz;
+  const rdoa = dir.x * oax + dir.y * oay + dir.z * oaz;
+  const oaoa = oax * oax + oay * oay + oaz * oaz;
+  const k2 = baba - bard * bard;
+  const k1 = baba * rdoa - baoa * bard;
+  const k0 = baba * oaoa - baoa * baoa - radius * radius * baba;
+  
+  if (k0 <= 0 && baoa > 0 && baoa < baba) return 0;
+  
+  if (k2 > 1e-9) {
+    const h = k1 * k1 - k2 * k0;
+    if (h >= 0) {
+      const t = (-k1 - Math.sqrt(h)) / k2;
+      const y = baoa + t * bard;
+      if (t >= 0 && t <= length && y > 0 && y < baba) consider(t);
+    }
+  }
+  
+  return best;
+}
+
+// Slab test in the box's own space
+function rayBox(origin, dir, length, half) {
+  let tMin = 0;
+  let tMax = length;
+  
+  for (const axis of ['x', 'y', 'z']) {
+    if (Math.abs(dir[axis]) < 1e-9) {
+      if (Math.abs(origin[axis]) > half[axis]) return null;
+      continue;
+    }
+    
+    let t1 = (-half[axis] - origin[axis]) / dir[axis];
+    let t2 = (half[axis] - origin[axis]) / dir[axis];
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+  
+  return tMin;
+}
+
+// Fraction (0-1) along from -> to where the segment first touches the entity,
+// or null. `radius` is the sphere used when the entity has no hitShape; `reach`
+// grows a hitShape by the projectile's own size.
+function sweepHit(from, to, entity, radius, reach = 0) {
+  const length = from.distanceTo(to);
+  if (length > 1e-9) {
+    sweepDir.subVectors(to, from).divideScalar(length);
+  } else {
+    sweepDir.set(0, 0, 0);
+  }
+  
+  const shape = entity.hitShape;
+  let t;
+  
+  if (!shape) {
+    t = raySphere(from, sweepDir, length, entity.position, radius);
+  } else {
+    const center = getShapeCenter(entity, shape, sweepCenter);
+    const rotation = getShapeRotation(entity, shape);
+    
+    if (shape.type === 'box') {
+      const half = readVector(shape.halfExtents, sweepVector).addScalar(reach);
+      sweepLocalOrigin.subVectors(from, center);
+      sweepLocalDir.copy(sweepDir);
+      if (rotation) {
+        sweepInverse.copy(rotation).invert();
+        sweepLocalOrigin.applyQuaternion(sweepInverse);
+        sweepLocalDir.applyQuaternion(sweepInverse);
+      }
+      t = rayBox(sweepLocalOrigin, sweepLocalDir, length, half);
+    } else if (shape.type === 'capsule') {
+      const axis = readVector(shape.axis || DEFAULT_CAPSULE_AXIS, sweepVector).normalize();
+      if (rotation) axis.applyQuaternion(rotation);
+      sweepCapA.copy(center).addScaledVector(axis, -shape.halfLength);
+      sweepCapB.copy(center).addScaledVector(axis, shape.halfLength);
+      t = rayCapsule(from, sweepDir, length, sweepCapA, sweepCapB, shape.radius + reach);
+    } else {
+      t = raySphere(from, sweepDir, length, center, (shape.radius ?? radius) + reach);
+    }
+  }
+  
+  if (t === null) return null;
+  return length > 1e-9 ? t / length : 0;
+}
+
+// Every live candidate the segment touches, nearest first, as { entity, t, part }.
+// Ties keep list order, so overlapping enemies resolve the way a full scan would.
+function sweepCandidates(from, to, candidates, radiusFor, reach = 0, skip) {
+  const hits = [];
+  
+  candidates.forEach(entity => {
+    if (!entity || !entity.position || entity.health <= 0) return;
+    if (skip?.(entity)) return;
+    
+    const partHit = entity.parts ? sweepParts(from, to, entity, reach) : null;
+    if (partHit) {
+      hits.push({ entity, t: partHit.t, part: partHit.part });
+      return;
+    }
+    
+    const t = sweepHit(from, to, entity, radiusFor(entity), reach);
+    if (t !== null) hits.push({ entity, t, part: null });
+  });
+  
+  return hits.sort((a, b) => a.t - b.t);
+}
+
+// ============================================================================
+// ENEMY PARTS (weak points)
+// ============================================================================
+// Bosses may carry parts (turrets, engines, cores) that are hit and locked on
+// their own:
+//   { id, offset, hitRadius, armor, lockable, type, health }
+// offset is local to the enemy and turns with its quaternion. armor (0-1) is
+// the share of damage the part soaks. Parts at health <= 0 are destroyed;
+// lockable: false keeps a part out of the lock cycle. A shot that touches a
+// part hits the part rather than the hull.
+const DEFAULT_PART_RADIUS = 1;
+const partProbe = { position: new Vector3() };
+
+function isPartAlive(part) {
+  return !!part && !(part.health <= 0);
+}
+
+export function getLockableParts(enemy) {
+  return (enemy?.parts || []).filter(part => part.lockable !== false && isPartAlive(part));
+}
+
+// Lock target for one part: its world position plus the ids needed to damage
+// it. Null when the enemy doesn't have that part alive.
+export function resolvePartTarget(enemy, partId) {
+  const part = enemy?.parts?.find(p => p.id === partId);
+  if (!enemy?.position || !isPartAlive(part)) return null;
+  
+  return {
+    id: enemy.id,
+    partId: part.id,
+    part,
+    position: getShapeCenter(enemy, part, new Vector3()),
+    velocity: enemy.velocity,
+    hitRadius: part.hitRadius ?? DEFAULT_PART_RADIUS,
+    health: enemy.health,
+    isBoss: enemy.isBoss,
+  };
+}
+
+// First live part of a preferred type (BUSTER goes for cores), else the target
+function seekPart(target, types) {
+  if (!target?.parts || target.partId != null) return target;
+  
+  const part = target.parts.find(p => types.includes(p.type) && isPartAlive(p));
+  return part ? resolvePartTarget(target, part.id) : target;
+}
+
+// Nearest live part the segment touches, as { part, t }, or null
+function sweepParts(from, to, entity, reach = 0) {
+  let best = null;
+  
+  entity.parts.forEach(part => {
+    if (!isPartAlive(part)) return;
+    
+    getShapeCenter(entity, part, partProbe.position);
+    const t = sweepHit(from, to, partProbe, (part.hitRadius ?? DEFAULT_PART_RADIUS) + reach);
+    if (t !== null && (best === null || t < best.t)) best = { part, t };
+  });
+  
+  return best;
+}
+
+// Segment against one tracked target, as { t, part } or null. A part target
+// only tests its part; a whole enemy tests its parts before the hull.
+function sweepTarget(from, to, target, radius) {
+  if (target.part) {
+    const t = sweepHit(from, to, target, target.hitRadius);
+    return t === null ? null : { t, part: target.part };
+  }
+  
+  const partHit = target.parts ? sweepParts(from, to, target) : null;
+  if (partHit) return partHit;
+  
+  const t = sweepHit(from, to, target, radius);
+  return t === null ? null : { t, part: null };
+}
+
+// ============================================================================
+// MISSILE GUIDANCE
+// ============================================================================
+// A missile config picks its steering law with `guidance`. Each model writes
+// the heading it wants (a unit vector) to `out`; steerMissile then caps the
+// swing with maxTurnRate (degrees/s) and/or maxG. Add entries to
+// GUIDANCE_MODELS, or set `guidance` to your own (missile, target, config, dt, out).
+const STANDARD_GRAVITY = 9.81;
+const guideAim = new Vector3();
+const guideRel = new Vector3();
+const guideOmega = new Vector3();
+const guideHeading = new Vector3();
+const steerCurrent = new Vector3();
+const steerDesired = new Vector3();
+const steerAxis = new Vector3();
+
+// Chase a point led by leadFactor (TARGETING.TARGET_LEAD_FACTOR by default),
+// blending toward it by turnRate
+function pursue(missile, aimPoint, config, dt, out) {
+  guideAim.subVectors(aimPoint, missile.position).normalize();
+  return out.copy(missile.velocity).normalize().lerp(guideAim, Math.min(1, config.turnRate * dt)).normalize();
+}
+
+// Where a target moving in a straight line meets a missile flying at speed,
+// or null when it can't be caught
+function interceptPoint(from, speed, target, out) {
+  guideRel.subVectors(target.position, from);
+  const velocity = target.velocity;
+  if (!velocity) return out.copy(target.position);
+  
+  const a = velocity.lengthSq() - speed * speed;
+  const b = 2 * guideRel.dot(velocity);
+  const c = guideRel.lengthSq();
+  let t;
+  
+  if (Math.abs(a) < 1e-6) {
+    t = b < 0 ? -c / b : null;
+  } else {
+    const disc = b * b - 4 * a * c;
+    if (disc < 0) return null;
+    const root = Math.sqrt(disc);
+    const t1 = (-b - root) / (2 * a);
+    const t2 = (-b + root) / (2 * a);
+    t = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+  }
+  
+  if (t === null || t <= 0) return null;
+  return out.copy(target.position).addScaledVector(velocity, t);
+}
+
+export const GUIDANCE_MODELS = {
+  pursuit: (missile, target, config, dt, out) => {
+    const aimPoint = guideHeading.copy(target.position);
+    if (target.velocity) {
+      const timeToTarget = missile.position.distanceTo(target.position) / missile.speed;
+      const lead = config.leadFactor ?? COMBAT_CONFIG.TARGETING.TARGET_LEAD_FACTOR;
+      aimPoint.addScaledVector(target.velocity, timeToTarget * lead);
+    }
+    return pursue(missile, aimPoint, config, dt, out);
+  },
+  
+  // Aims at the intercept point for the target's current velocity
+  'predictive-intercept': (missile, target, config, dt, out) => {
+    const aimPoint = interceptPoint(missile.position, missile.speed, target, guideHeading);
+    return pursue(missile, aimPoint || target.position, config, dt, out);
+  },
+  
+  // Turns navigationConstant times as fast as the line of sight rotates, so it
+  // leads crossing targets instead of orbiting them. A target behind the
+  // missile is pursued until it's ahead.
+  'proportional-navigation': (missile, target, config, dt, out) => {
+    guideRel.subVectors(target.position, missile.position);
+    const distSq = guideRel.lengthSq();
+    if (distSq < 1e-6 || guideRel.dot(missile.velocity) <= 0) {
+      return pursue(missile, target.position, config, dt, out);
+    }
+    
+    guideAim.copy(missile.velocity).negate();
+    if (target.velocity) guideAim.add(target.velocity);
+    guideOmega.crossVectors(guideRel, guideAim).divideScalar(distSq);
+    
+    const gain = (config.navigationConstant ?? 4) * dt;
+    return out.crossVectors(guideOmega, missile.velocity).multiplyScalar(gain).add(missile.velocity).normalize();
+  },
+  
+  dumbfire: (missile, target, config, dt, out) => out.copy(missile.velocity).normalize(),
+};
+
+function getGuidanceModel(config) {
+  if (typeof config.guidance === 'function') return config.guidance;
+  return GUIDANCE_MODELS[config.guidance] || GUIDANCE_MODELS.pursuit;
+}
+
+// Largest heading change allowed this step, in radians
+function getMaxTurn(config, speed, dt) {
+  let maxTurn = Infinity;
+  if (config.maxTurnRate) maxTurn = config.maxTurnRate * (Math.PI / 180) * dt;
+  if (config.maxG && speed > 0) maxTurn = Math.min(maxTurn, (config.maxG * STANDARD_GRAVITY / speed) * dt);
+  return maxTurn;
+}
+
+// Turns the missile toward the model's heading, within its turn limits, at speed
+function steerMissile(missile, target, config, dt) {
+  const current = steerCurrent.copy(missile.velocity).normalize();
+  const desired = getGuidanceModel(config)(missile, target, config, dt, steerDesired);
+  const maxTurn = getMaxTurn(config, missile.speed, dt);
+  
+  if (current.angleTo(desired) > maxTurn) {
+    steerAxis.crossVectors(current, desired);
+    if (steerAxis.lengthSq() < 1e-12) steerAxis.set(0, 1, 0);
+    desired.copy(current).applyAxisAngle(steerAxis.normalize(), maxTurn);
+  }
+  
+  missile.velocity.copy(desired).multiplyScalar(missile.speed);
+}
+
+// boostTime ms at boostSpeed (missileSpeed by default), then the motor burns
+// out and the missile sheds coastDrag of its speed per second, down to
+// minSpeed. Without boostTime it flies at missileSpeed throughout.
+function getMissileSpeed(config, elapsed) {
+  if (!config.boostTime) return config.missileSpeed;
+  
+  const boostSpeed = config.boostSpeed ?? config.missileSpeed;
+  if (elapsed <= config.boostTime) return boostSpeed;
+  
+  const coasting = (elapsed - config.boostTime) / 1000;
+  return Math.max(config.minSpeed ?? 0, boostSpeed * Math.pow(1 - (config.coastDrag ?? 0.5), coasting));
+}
+
+// Flares aren't in the enemy list; they count as dead once they burn out
+function isTargetDead(target, grid) {
+  if (target?.id == null || target.isCombatant) return false;
+  if (target.isDecoy) return !(target.health > 0);
+  return !(grid.get(target.id)?.health > 0);
+}
+
+// ============================================================================
+// SPATIAL GRID (broadphase)
+// ============================================================================
+// Buckets entities into uniform cells by position. Queries return every entity
+// that could be in reach (padded by the largest hitRadius), in their original
+// array order, so narrowphase checks pick the same entity a full scan would.
+// With BROADPHASE.ENABLED off, queries return the whole list.
+//
+// Cells are hashed into small-integer keys. Two cells sharing a key only adds
+// candidates, which the narrowphase rejects anyway.
+function hashCell(x, y, z) {
+  return (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) & 0x3fffffff;
+}
+
+export class SpatialGrid {
+  constructor(cellSize = COMBAT_CONFIG.BROADPHASE.CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();       // key -> entity indices
+    this.occupied = [];           // buckets filled by the last rebuild
+    this.byId = new Map();
+    this.entities = [];
+    this.maxRadius = 0;
+    this.enabled = true;
+  }
+  
+  toCell(value) {
+    return Math.floor(value / this.cellSize);
+  }
+  
+  rebuild(entities = []) {
+    const { ENABLED } = COMBAT_CONFIG.BROADPHASE;
+    this.enabled = ENABLED;
+    this.entities = entities;
+    this.maxRadius = 0;
+    this.byId.clear();
+    
+    // Bucket arrays are reused between rebuilds; drop them once enemies have
+    // wandered through far more cells than they occupy
+    this.occupied.forEach(bucket => { bucket.length = 0; });
+    this.occupied.length = 0;
+    if (this.cells.size > entities.length * 4 + 64) this.cells.clear();
+    
+    if (!ENABLED) return this;
+    
+    entities.forEach((entity, index) => {
+      if (!entity) return;
+      if (!this.byId.has(entity.id)) this.byId.set(entity.id, entity);
+      if (!entity.position || entity.health <= 0) return;
+      
+      const { x, y, z } = entity.position;
+      const key = hashCell(this.toCell(x), this.toCell(y), this.toCell(z));
+      let bucket = this.cells.get(key);
+      if (!bucket) {
+        bucket = [];
+        this.cells.set(key, bucket);
+      }
+      if (bucket.length === 0) this.occupied.push(bucket);
+      bucket.push(index);
+      this.maxRadius = Math.max(this.maxRadius, getHitShapeRadius(entity));
+    });
+    return this;
+  }
+  
+  // Live entity by id (a full scan when the grid is disabled)
+  get(id) {
+    if (!this.enabled) return this.entities.find(e => e?.id === id);
+    return this.byId.get(id);
+  }
+  
+  queryBox(minX, minY, minZ, maxX, maxY, maxZ) {
+    if (!this.enabled) return this.entities;
+    
+    const pad = this.maxRadius;
+    const x0 = this.toCell(minX - pad), x1 = this.toCell(maxX + pad);
+    const y0 = this.toCell(minY - pad), y1 = this.toCell(maxY + pad);
+    const z0 = this.toCell(minZ - pad), z1 = this.toCell(maxZ + pad);
+    const indices = [];
+    
+    // A query spanning more cells than are occupied is cheaper as a walk over
+    // the occupied buckets
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1) > this.occupied.length) {
+      this.occupied.forEach(bucket => {
+        for (let i = 0; i < bucket.length; i++) indices.push(bucket[i]);
+      });
+    } else {
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          for (let z = z0; z <= z1; z++) {
+            const bucket = this.cells.get(hashCell(x, y, z));
+            if (!bucket) continue;
+            for (let i = 0; i < bucket.length; i++) indices.push(bucket[i]);
+          }
+        }
+      }
+    }
+    
+    if (indices.length > 1) indices.sort((a, b) => a - b);
+    
+    // Hash collisions can visit a bucket twice; duplicates sit side by side
+    const found = [];
+    for (let i = 0; i < indices.length; i++) {
+      if (i > 0 && indices[i] === indices[i - 1]) continue;
+      found.push(this.entities[indices[i]]);
+    }
+    return found;
+  }
+  
+  // Entities within radius of center, plus their own hitRadius
+  queryRadius(center, radius) {
+    return this.queryBox(
+      center.x - radius, center.y - radius, center.z - radius,
+      center.x + radius, center.y + radius, center.z + radius,
+    );
+  }
+  
+  // Entities within radius of the segment from -> to, plus their own hitRadius
+  querySegment(from, to, radius) {
+    return this.queryBox(
+      Math.min(from.x, to.x) - radius, Math.min(from.y, to.y) - radius, Math.min(from.z, to.z) - radius,
+      Math.max(from.x, to.x) + radius, Math.max(from.y, to.y) + radius, Math.max(from.z, to.z) + radius,
+    );
+  }
+}
+
+// High-volume lists whose entity records are pooled, and the PERFORMANCE budget
+// that caps each of them
+const POOLED_LISTS = {
+  projectiles: 'MAX_PROJECTILES',
+  multiLockProjectiles: 'MAX_MULTI_LOCK_PROJECTILES',
+  missiles: 'MAX_MISSILES',
+};
+
+function getListBudget(list) {
+  return COMBAT_CONFIG.PERFORMANCE[POOLED_LISTS[list]] ?? Infinity;
+}
+
+// Read-only fallback spawn point; spawns copy or clone it
+const WORLD_CENTER = new Vector3();
+
+// Shots a host hit confirmation can settle on a client
+const PREDICTED_LISTS = ['projectiles', 'multiLockProjectiles', 'chargedShots', 'missiles'];
+
+// ============================================================================
+// COMBAT SIMULATION
+// ============================================================================
+// Owns every combat entity (projectiles, missiles, gravity wells, strikes,
+// smartbombs), the equipped weapons' powerup timers and ammo, and passive timers.
+// Advances only through step(dt), so it runs the same headless as under a canvas.
+//
+// Results go out through handlers (see setHandlers); nothing here touches React
+// or three.js scene objects. Times on entities are simulation milliseconds.
+export class CombatSimulation {
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.time = 0;
+    this.accumulator = 0;
+    this.nextId = 1;
+    this.revision = 0;
+    
+    this.enemies = [];
+    this.grid = new SpatialGrid();
+    this.friendlies = [];
+    this.friendlyGrid = new SpatialGrid();
+    this.hostileProjectiles = [];
+    this.shootables = null;
+    
+    // Combatants by id; 'player' always exists and is the default owner.
+    // combatantRevision is bumped when a combatant joins, leaves, changes team
+    // or gains or loses its position, i.e. when some team's rivals change.
+    this.combatants = new Map();
+    this.combatantRevision = 0;
+    this.rivalCache = new Map();
+    this.setCombatant(PLAYER_TARGET_ID, { team: COMBAT_CONFIG.TEAMS.PLAYER_TEAM });
+    
+    this.projectiles = [];
+    this.multiLockProjectiles = [];
+    this.chargedShots = [];
+    this.missiles = [];
+    this.gravityWells = [];
+    this.thorStrikes = [];
+    this.smartbombs = [];
+    this.customEntities = [];
+    this.flares = [];
+    this.scheduled = [];
+    
+    // Per-enemy countermeasure use, keyed by enemy id
+    this.countermeasures = new Map();
+    this.seed = 1;
+    
+    // Bumped whenever a list gains or loses entities (or an entity changes
+    // phase), so a renderer can skip lists it draws without re-rendering
+    this.revisions = {};
+    this.pools = { projectiles: [], multiLockProjectiles: [], missiles: [] };
+    
+    // Combat event stream (see subscribe). A non-authoritative simulation
+    // keeps its predicted hits here, by netId, until the host confirms them.
+    this.listeners = new Set();
+    this.eventSequences = new Map();
+    this.authoritative = true;
+    this.predictions = new Map();
+    this.incoming = null;
+  }
+  
+  // The default combatant's state, for single-player use
+  get playerPosition() {
+    return this.getCombatant().position;
+  }
+  
+  get loadout() {
+    return this.getCombatant().loadout;
+  }
+  
+  get passives() {
+    return this.getCombatant().passives;
+  }
+  
+  // handlers: onHit(sourceId, enemyId, damage, options), onPlayerHit(damage, position, options),
+  // onPull(enemyId, direction, strength), onKill(enemyId, options), onChainArc(from, to, color),
+  // onTimerExpired(slot), onAmmoDepleted(slot), updateCustom(entity, dt),
+  // hasLineOfSight(from, target), onMissileDecoyed(missileId, info),
+  // onMissileDestroyed(missileId, info), onHostileProjectileHit(id, damage, info),
+  // onPointDefenseShot(from, to, hit), onFriendlyHit(sourceId, friendlyId, damage, options)
+  //
+  // Given a combatantId, the handlers only get that combatant's events: hits by
+  // what it fired, hits on it, and its own timers. Anything else goes to the
+  // handlers set without an id.
+  setHandlers(handlers, combatantId) {
+    if (combatantId == null) {
+      this.handlers = handlers;
+    } else {
+      this.getCombatant(combatantId).handlers = handlers;
+    }
+  }
+  
+  handlersFor(combatantId) {
+    return this.combatants.get(combatantId)?.handlers || this.handlers;
+  }
+  
+  // Chance rolls (evasion, flares, point defense) come from a seeded generator,
+  // so a replay with the same seed and inputs plays out the same
+  setSeed(seed) {
+    this.seed = Math.imul((seed >>> 0) ^ 0x9e3779b9, 0x85ebca6b) || 1;
+  }
+  
+  random() {
+    this.seed = (this.seed + 0x6d2b79f5) | 0;
+    let t = this.seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  setEnemies(enemies = []) {
+    this.enemies = enemies;
+  }
+  
+  // Kept out of the enemy grid, so nothing that seeks or sweeps enemies sees them
+  setFriendlies(friendlies = []) {
+    this.friendlies = friendlies;
+  }
+  
+  // Hostile shots the game simulates itself ({ id, position, hitRadius }); player
+  // shots and POINT DEFENSE report hits on them through onHostileProjectileHit
+  setHostileProjectiles(projectiles = []) {
+    this.hostileProjectiles = projectiles;
+  }
+  
+  // --------------------------------------------------------------------------
+  // Combatants
+  // --------------------------------------------------------------------------
+  
+  // Adds the combatant or updates it; changes: { team, position, hitRadius, remote }.
+  // In networked play, other peers' ships are remote: hits on them are theirs to take.
+  setCombatant(id, changes = {}) {
+    let combatant = this.combatants.get(id);
+    const before = combatant && { team: combatant.team, placed: !!combatant.position };
+    if (!combatant) {
+      combatant = createCombatant(id, changes.team ?? COMBAT_CONFIG.TEAMS.PLAYER_TEAM);
+      this.combatants.set(id, combatant);
+    }
+    
+    Object.assign(combatant, changes);
+    if (!before || before.team !== combatant.team || before.placed !== !!combatant.position) {
+      this.combatantRevision++;
+    }
+    if (combatant.position) this.getCombatantEntity(id);
+    return combatant;
+  }
+  
+  // Its entities in flight keep their owner id, so late hits are still credited
+  removeCombatant(id) {
+    if (id !== PLAYER_TARGET_ID && this.combatants.delete(id)) this.combatantRevision++;
+  }
+  
+  getCombatant(id = PLAYER_TARGET_ID) {
+    return this.combatants.get(id) || this.setCombatant(id);
+  }
+  
+  setPlayerPosition(position, combatantId = PLAYER_TARGET_ID) {
+    this.setCombatant(combatantId, { position });
+  }
+  
+  // Hit-test stand-in for a combatant's ship. The same object comes back each
+  // time, kept in step by setCombatant, so cached rival lists stay current.
+  getCombatantEntity(id) {
+    const combatant = this.combatants.get(id);
+    if (!combatant?.position) return null;
+    
+    if (!combatant.entity) combatant.entity = { id, health: 1, isCombatant: true };
+    combatant.entity.position = combatant.position;
+    combatant.entity.hitRadius = combatant.hitRadius;
+    combatant.entity.team = combatant.team;
+    return combatant.entity;
+  }
+  
+  getPlayerEntity() {
+    return this.getCombatantEntity(PLAYER_TARGET_ID);
+  }
+  
+  // Combatants a team may shoot at. The list is rebuilt only when
+  // combatantRevision moves, so callers can memoize on it.
+  getRivals(team) {
+    const cached = this.rivalCache.get(team);
+    if (cached?.revision === this.combatantRevision) return cached.rivals;
+    
+    const rivals = [];
+    this.combatants.forEach(combatant => {
+      if (combatant.team === team || !combatant.position) return;
+      rivals.push(this.getCombatantEntity(combatant.id));
+    });
+    this.rivalCache.set(team, { revision: this.combatantRevision, rivals });
+    return rivals;
+  }
+  
+  // Enemies (unless an enemy fired it) and rival combatants along a shot's path
+  getCollisionCandidates(entity, from, to, radius) {
+    const candidates = entity.hostile ? [] : this.grid.querySegment(from, to, radius);
+    const rivals = this.getRivals(entity.team);
+    return rivals.length > 0 ? candidates.concat(rivals) : candidates;
+  }
+  
+  // Enemies and rival combatants around a point, for splash and chain damage
+  getAreaCandidates(source, center, radius) {
+    const candidates = source?.hostile ? [] : this.grid.queryRadius(center, radius);
+    const rivals = source?.team ? this.getRivals(source.team) : [];
+    return rivals.length > 0 ? candidates.concat(rivals) : candidates;
+  }
+  
+  // Tracked targets may be enemies, their parts or combatants
+  resolveTarget(target) {
+    if (target && this.combatants.has(target.id)) return this.getCombatantEntity(target.id);
+    return resolveLive(target, this.grid);
+  }
+  
+  // Tags a spawned entity with its shooter. Enemy fire is owned by the enemy
+  // (sourceId) on ENEMY_TEAM; everything else by a combatant, 'player' by default.
+  assignOwner(entity, ownerId) {
+    if (entity.hostile) {
+      entity.ownerId = entity.sourceId ?? null;
+      entity.team = COMBAT_CONFIG.TEAMS.ENEMY_TEAM;
+      return null;
+    }
+    
+    const owner = this.getCombatant(ownerId ?? PLAYER_TARGET_ID);
+    entity.ownerId = owner.id;
+    entity.team = owner.team;
+    return owner;
+  }
+  
+  createId() {
+    return this.nextId++;
+  }
+  
+  // --------------------------------------------------------------------------
+  // Combat events
+  // --------------------------------------------------------------------------
+  
+  // listener(event) gets every fire, hit, kill, pickup, passive and lock event
+  // as a plain object: { id, type, time, combatantId, ... }. Returns an
+  // unsubscribe function.
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  // Ids count per origin ('p2:14', 'world:3'), so the same inputs give the
+  // same ids on every peer. Events replayed from the network keep their own
+  // ids and aren't announced again.
+  emit(type, payload = {}) {
+    if (this.incoming) return null;
+  
+    const origin = WORLD_EVENTS.has(type) ? WORLD_ORIGIN : payload.combatantId ?? WORLD_ORIGIN;
+    const sequence = (this.eventSequences.get(origin) || 0) + 1;
+    this.eventSequences.set(origin, sequence);
+  
+    const event = { id: `${origin}:${sequence}`, type, time: this.time, ...payload };
+    this.listeners.forEach(listener => listener(event));
+    return event;
+  }
+  
+  // A client simulation only predicts hits; the host's HIT events land them
+  setAuthoritative(authoritative) {
+    this.authoritative = authoritative;
+    if (authoritative) this.predictions.clear();
+  }
+  
+  // Spawned entities are named by their FIRE event, which is what hit
+  // confirmations refer back to
+  announceFire(kind, entity, details = {}) {
+    if (this.incoming) {
+      entity.netId = this.incoming.id;
+      return entity;
+    }
+  
+    entity.netId = this.emit(COMBAT_EVENTS.FIRE, {
+      kind,
+      combatantId: entity.hostile ? null : entity.ownerId,
+      sourceId: entity.sourceId ?? null,
+      team: entity.team,
+      hostile: !!entity.hostile,
+      config: entity.config,
+      ...details,
+    }).id;
+    return entity;
+  }
+  
+  // Plays an event from another peer into this simulation: fire spawns the
+  // same entity, hit and kill reach the handlers, passives follow the sender.
+  // Pickups and locks only matter to the game.
+  applyRemoteEvent(event) {
+    if (event.combatantId != null && !event.hostile && !WORLD_EVENTS.has(event.type)) {
+      const sender = this.getCombatant(event.combatantId);
+      sender.remote = true;
+      if (event.team) sender.team = event.team;
+    }
+  
+    this.incoming = event;
+    switch (event.type) {
+      case COMBAT_EVENTS.FIRE:
+        this.applyRemoteFire(event);
+        break;
+      case COMBAT_EVENTS.HIT:
+        this.settlePrediction(event.sourceNetId);
+        this.deliverHit(event);
+        break;
+      case COMBAT_EVENTS.KILL:
+        this.handlersFor(event.combatantId).onKill?.(event.targetId, event.options);
+        break;
+      case COMBAT_EVENTS.PASSIVE_START:
+        this.addPassive(event.name, event.duration, event.combatantId);
+        break;
+      case COMBAT_EVENTS.PASSIVE_END: {
+        const combatant = this.getCombatant(event.combatantId);
+        const passives = { ...combatant.passives };
+        delete passives[event.name];
+        combatant.passives = passives;
+        break;
+      }
+      default:
+        break;
+    }
+    this.incoming = null;
+  }
+  
+  applyRemoteFire(event) {
+    const { config, combatantId: ownerId } = event;
+    const target = event.target && this.resolveTarget(event.target);
+  
+    switch (event.kind) {
+      case 'projectile':
+        this.spawnProjectile(config, event.direction, {
+          position: event.position,
+          hostile: event.hostile,
+          sourceId: event.sourceId,
+          chainedFrom: event.chainedFrom,
+          ownerId,
+        });
+        break;
+      case 'multiLock':
+        this.spawnMultiLockProjectile(config, target, event.delay, ownerId, event.position);
+        break;
+      case 'charged':
+        this.spawnChargedShot(config, event.direction, target, ownerId, event.position);
+        break;
+      case 'missile':
+        this.spawnMissile(config, target, {
+          position: event.position,
+          direction: event.direction,
+          delay: event.delay,
+          hostile: event.hostile,
+          sourceId: event.sourceId,
+          ownerId,
+        });
+        break;
+      case 'thor':
+        this.spawnThorStrike(config, target, ownerId);
+        break;
+      case 'smartbomb':
+        this.triggerSmartbomb(config, ownerId);
+        break;
+      default:
+        break;
+    }
+  }
+  
+  // The host's verdict on a shot: a hit we predicted is confirmed, and a copy
+  // still flying here is dropped, since it landed over there
+  settlePrediction(netId) {
+    if (netId == null || this.predictions.delete(netId)) return;
+  
+    PREDICTED_LISTS.forEach(list => {
+      const entity = this[list].find(e => e.netId === netId);
+      if (entity && !entity.config?.penetrating) this.removeEntity(entity.id);
+    });
+  }
+  
+  expirePredictions() {
+    const { CONFIRM_TIMEOUT } = COMBAT_CONFIG.NETWORK;
+    this.predictions.forEach((predicted, netId) => {
+      if (this.time - predicted.time < CONFIRM_TIMEOUT) return;
+      this.predictions.delete(netId);
+      this.emit(COMBAT_EVENTS.HIT_REJECTED, { combatantId: predicted.ownerId, netId });
+    });
+  }
+  
+  // --------------------------------------------------------------------------
+  // Spawning
+  // --------------------------------------------------------------------------
+  
+  // Where a shot starts when the caller gives no position: its owner, then the
+  // default player. A combatant whose position isn't synced yet (a remote
+  // peer's, on a client) has none, so the world origin is the last resort.
+  getSpawnPosition(position, owner) {
+    return position || owner?.position || this.playerPosition || WORLD_CENTER;
+  }
+  
+  touch(list) {
+    this.revision++;
+    this.revisions[list] = (this.revisions[list] || 0) + 1;
+  }
+  
+  add(list, entity, delay = 0) {
+    if (delay > 0) {
+      this.scheduled.push({ at: this.time + delay, list, entity });
+      return entity;
+    }
+    
+    // Over budget: recycle the oldest entity rather than refuse the new one
+    if (this[list].length >= getListBudget(list)) {
+      this.release(list, this[list].shift());
+    }
+    
+    entity.spawnTime = this.time;
+    this[list].push(entity);
+    this.touch(list);
+    return entity;
+  }
+  
+  // Pooled records keep their vectors between uses; every other field is
+  // reassigned by the spawn method that acquires them.
+  acquire(list) {
+    return this.pools[list].pop() || {
+      position: new Vector3(),
+      direction: new Vector3(),
+      velocity: new Vector3(),
+      hitIds: new Set(),
+    };
+  }
+  
+  release(list, entity) {
+    const pool = this.pools[list];
+    if (pool && entity && pool.length < getListBudget(list)) pool.push(entity);
+  }
+  
+  // extra may carry position, hostile, sourceId, ownerId or chainedFrom
+  spawnProjectile(config, direction, extra = {}) {
+    const projectile = this.acquire('projectiles');
+    projectile.id = this.createId();
+    projectile.config = config;
+    projectile.hostile = !!extra.hostile;
+    projectile.sourceId = extra.sourceId ?? null;
+    projectile.chainedFrom = extra.chainedFrom || null;
+    projectile.destroyed = false;
+    const owner = this.assignOwner(projectile, extra.ownerId);
+    projectile.position.copy(this.getSpawnPosition(extra.position, owner));
+    projectile.direction.copy(direction);
+    this.announceFire('projectile', projectile, {
+      position: projectile.position.clone(),
+      direction: projectile.direction.clone(),
+      chainedFrom: projectile.chainedFrom,
+    });
+    
+    return this.add('projectiles', projectile);
+  }
+  
+  spawnMultiLockProjectile(config, target, delay = 0, ownerId, position) {
+    const projectile = this.acquire('multiLockProjectiles');
+    projectile.id = this.createId();
+    projectile.config = config;
+    projectile.target = target;
+    projectile.hostile = false;
+    projectile.position.copy(this.getSpawnPosition(position, this.assignOwner(projectile, ownerId)));
+    this.announceFire('multiLock', projectile, {
+      position: projectile.position.clone(),
+      target: snapshotTarget(target),
+      delay,
+    });
+    
+    return this.add('multiLockProjectiles', projectile, delay);
+  }
+  
+  spawnChargedShot(config, direction, target, ownerId, position) {
+    const shot = {
+      id: this.createId(),
+      velocity: direction.clone().normalize().multiplyScalar(config.projectileSpeed),
+      target,
+      config,
+    };
+    shot.position = this.getSpawnPosition(position, this.assignOwner(shot, ownerId)).clone();
+    this.announceFire('charged', shot, {
+      position: shot.position.clone(),
+      direction: direction.clone(),
+      target: snapshotTarget(target),
+    });
+    
+    return this.add('chargedShots', shot);
+  }
+  
+  // options: position, direction, delay, hostile, sourceId, ownerId
+  spawnMissile(config, target, { position, direction, delay = 0, hostile = false, sourceId = null, ownerId } = {}) {
+    const missile = this.acquire('missiles');
+    missile.id = this.createId();
+    missile.config = config;
+    missile.target = config.seekParts ? seekPart(target, config.seekParts) : target;
+    missile.hostile = hostile;
+    missile.sourceId = sourceId;
+    missile.hitIds.clear();
+    missile.occludedFor = 0;
+    missile.health = config.missileHealth ?? COMBAT_CONFIG.COUNTERMEASURES.MISSILE_HEALTH;
+    const owner = this.assignOwner(missile, ownerId);
+    missile.position.copy(this.getSpawnPosition(position, owner));
+    
+    if (direction) {
+      missile.velocity.copy(direction).normalize();
+    } else {
+      missile.velocity.set(0, 0, -1);
+    }
+    missile.velocity.multiplyScalar(config.missileSpeed * 0.5);
+    this.announceFire('missile', missile, {
+      position: missile.position.clone(),
+      direction: missile.velocity.clone().normalize(),
+      target: snapshotTarget(target),
+      delay,
+    });
+    
+    return this.add('missiles', missile, delay);
+  }
+  
+  // A flare drops away from the enemy, drifting with half its velocity
+  spawnFlare(enemy) {
+    const { FLARE_DROP_SPEED, FLARE_HIT_RADIUS } = COMBAT_CONFIG.COUNTERMEASURES;
+    const velocity = enemy.velocity ? enemy.velocity.clone().multiplyScalar(0.5) : new Vector3();
+    velocity.y -= FLARE_DROP_SPEED;
+    
+    return this.add('flares', {
+      id: this.createId(),
+      sourceId: enemy.id,
+      position: enemy.position.clone(),
+      velocity,
+      health: 1,
+      hitRadius: FLARE_HIT_RADIUS,
+      isDecoy: true,
+      progress: 0,
+      rolled: new Set(),             // Missiles that already rolled against it
+    });
+  }
+  
+  spawnGravityWell(anchorEnemy, config, ownerId) {
+    const well = {
+      id: this.createId(),
+      anchorEnemy,
+      position: anchorEnemy.position.clone(),
+      phase: 'pull',
+      affected: new Set([anchorEnemy.id]),
+      config,
+    };
+    this.assignOwner(well, ownerId);
+    
+    return this.add('gravityWells', well);
+  }
+  
+  spawnThorStrike(config, target, ownerId) {
+    const strike = {
+      id: this.createId(),
+      target,
+      impactPosition: target?.position?.clone() || new Vector3(),
+      phase: 'impact',
+      config,
+    };
+    this.assignOwner(strike, ownerId);
+    this.announceFire('thor', strike, { target: snapshotTarget(target) });
+    
+    return this.add('thorStrikes', strike);
+  }
+  
+  triggerSmartbomb(config, ownerId) {
+    const bomb = {
+      id: this.createId(),
+      progress: 0,
+      detonated: false,
+      config,
+    };
+    this.assignOwner(bomb, ownerId);
+    this.announceFire('smartbomb', bomb);
+    
+    return this.add('smartbombs', bomb);
+  }
+  
+  spawnCustom(entity) {
+    const custom = { id: this.createId(), ...entity };
+    const owner = this.assignOwner(custom, entity.ownerId);
+    if (!custom.position) custom.position = this.getSpawnPosition(null, owner).clone();
+    
+    return this.add('customEntities', custom);
+  }
+  
+  removeEntity(id) {
+    ['projectiles', 'multiLockProjectiles', 'chargedShots', 'missiles', 'gravityWells', 
+      'thorStrikes', 'smartbombs', 'customEntities', 'flares'].forEach(list => {
+      const index = this[list].findIndex(e => e.id === id);
+      if (index !== -1) {
+        this.release(list, this[list].splice(index, 1)[0]);
+        this.touch(list);
+      }
+    });
+  }
+  
+  // --------------------------------------------------------------------------
+  // Loadout: powerup timers, ammo and passives (per combatant, 'player' by default)
+  // --------------------------------------------------------------------------
+  setWeaponConfig(slot, config, combatantId) {
+    const { loadout } = this.getCombatant(combatantId);
+    loadout[slot].config = config;
+    if (slot === 'missile') loadout.missile.depleted = false;
+  }
+  
+  setWeaponTimer(slot, timer, combatantId) {
+    this.getCombatant(combatantId).loadout[slot].timer = timer;
+  }
+  
+  setAmmo(ammo, combatantId) {
+    const { missile } = this.getCombatant(combatantId).loadout;
+    missile.ammo = ammo;
+    missile.reloading = false;
+    missile.reloadElapsed = 0;
+    missile.depleted = false;
+  }
+  
+  consumeAmmo(count = 1, combatantId) {
+    const { missile } = this.getCombatant(combatantId).loadout;
+    missile.ammo = Math.max(0, missile.ammo - count);
+  }
+  
+  getReloadProgress(combatantId) {
+    const { missile } = this.getCombatant(combatantId).loadout;
+    if (!missile.reloading || !missile.config?.reloadTime) return 1;
+    return Math.min(1, missile.reloadElapsed / missile.config.reloadTime);
+  }
+  
+  addPassive(name, duration, combatantId) {
+    const combatant = this.getCombatant(combatantId);
+    combatant.passives = { ...combatant.passives, [name]: duration };
+    this.emit(COMBAT_EVENTS.PASSIVE_START, { combatantId: combatant.id, name, duration });
+  }
+  
+  // --------------------------------------------------------------------------
+  // Stepping
+  // --------------------------------------------------------------------------
+  
+  // Runs as many fixed steps as the frame delta covers. Leftover time carries
+  // to the next frame; a long stall is capped at MAX_STEPS_PER_FRAME.
+  advance(delta) {
+    const { STEP, MAX_STEPS_PER_FRAME } = COMBAT_CONFIG.SIMULATION;
+    this.accumulator = Math.min(this.accumulator + delta, STEP * MAX_STEPS_PER_FRAME);
+    
+    let steps = 0;
+    while (this.accumulator >= STEP) {
+      this.step(STEP);
+      this.accumulator -= STEP;
+      steps++;
+    }
+    return steps;
+  }
+  
+  step(dt) {
+    this.time += dt * 1000;
+    this.grid.rebuild(this.enemies);
+    this.friendlyGrid.rebuild(this.friendlies);
+    this.shootables = null;
+    
+    if (this.scheduled.length > 0) {
+      const due = this.scheduled.filter(s => s.at <= this.time);
+      if (due.length > 0) {
+        this.scheduled = this.scheduled.filter(s => s.at > this.time);
+        due.forEach(s => this.add(s.list, s.entity));
+      }
+    }
+    
+    this.updateList('projectiles', this.updateProjectile, dt);
+    this.updateList('multiLockProjectiles', this.updateMultiLockProjectile, dt);
+    this.updateList('chargedShots', this.updateChargedShot, dt);
+    this.updateList('flares', this.updateFlare, dt);
+    this.updateCountermeasures();
+    this.combatants.forEach(combatant => this.updatePlayerPointDefense(combatant));
+    this.updateList('missiles', this.updateMissile, dt);
+    this.updateList('gravityWells', this.updateGravityWell, dt);
+    this.updateList('thorStrikes', this.updateThorStrike, dt);
+    this.updateList('smartbombs', this.updateSmartbomb, dt);
+    this.updateList('customEntities', this.updateCustomEntity, dt);
+    
+    this.combatants.forEach(combatant => {
+      this.updateLoadout(combatant, dt);
+      this.updatePassives(combatant, dt);
+    });
+    
+    if (this.predictions.size > 0) this.expirePredictions();
+  }
+  
+  // Each updater returns false once its entity is done
+  updateList(list, update, dt) {
+    const entities = this[list];
+    if (entities.length === 0) return;
+    
+    const kept = entities.filter(entity => {
+      if (update.call(this, entity, dt) !== false) return true;
+      this.release(list, entity);
+      return false;
+    });
+    if (kept.length !== entities.length) {
+      this[list] = kept;
+      this.touch(list);
+    }
+  }
+  
+  updateProjectile(projectile, dt) {
+    const { config } = projectile;
+    if (projectile.destroyed) return false;
+    
+    const start = sweepStart.copy(projectile.position);
+    projectile.position.addScaledVector(projectile.direction, config.projectileSpeed * dt);
+    
+    // The shot's own radius on top of the target's, as for missiles and charged shots
+    const reach = config.explosionRadius || 0;
+    const candidates = this.getCollisionCandidates(projectile, start, projectile.position, reach);
+    
+    const [hit] = sweepCandidates(
+      start, projectile.position, candidates, entity => (entity.hitRadius || 1.5) + reach, reach,
+      enemy => projectile.chainedFrom?.includes(enemy.id),
+    );
+    
+    // Player shots can also take out incoming fire, or a wingman, on the way
+    if (!projectile.hostile && !config.gravityRadius) {
+      const [intercept] = sweepCandidates(
+        start, projectile.position, this.getShootables(),
+        entity => entity.hitRadius ?? COMBAT_CONFIG.ENEMY_FIRE.INTERCEPT_RADIUS, 0,
+        entity => entity.destroyed || isSameTeam(entity, projectile.team),
+      );
+      const friendly = this.sweepFriendlies(start, projectile.position, config);
+      
+      if (friendly && (!hit || friendly.t < hit.t) && (!intercept || friendly.t < intercept.t)) {
+        projectile.position.lerpVectors(start, projectile.position, friendly.t);
+        this.hitFriendly(projectile, friendly.entity.id, config.damage, {
+          isExplosive: !!config.explosionRadius,
+          weapon: config.name,
+        });
+        return false;
+      }
+      
+      if (intercept && (!hit || intercept.t < hit.t)) {
+        projectile.position.lerpVectors(start, projectile.position, intercept.t);
+        this.shootDown(intercept.entity, config.damage, projectile);
+        return false;
+      }
+    }
+    
+    if (hit) {
+      projectile.position.lerpVectors(start, projectile.position, hit.t);
+      this.resolveProjectileHit(projectile, hit.entity, hit.part);
+      return false;
+    }
+    
+    return this.time - projectile.spawnTime <= config.projectileLifetime;
+  }
+  
+  resolveProjectileHit(projectile, enemy, part = null) {
+    const { config } = projectile;
+    
+    // Gravity weapons attach a well instead of dealing impact damage
+    if (config.gravityRadius) {
+      if (!enemy.isCombatant) this.spawnGravityWell(enemy, config, projectile.ownerId);
+      return;
+    }
+    
+    const options = {
+      isExplosive: !!config.explosionRadius,
+      explosionRadius: config.explosionRadius,
+    };
+    
+    if (enemy.isCombatant) {
+      this.hitCombatant(projectile, enemy.id, config.damage, options);
+      if (projectile.hostile) return;
+    } else {
+      this.hitEnemy(projectile, enemy.id, config.damage, options, part);
+    }
+    
+    if (config.chainCount) {
+      this.chainLightning(enemy, config, projectile.chainedFrom || [], projectile);
+    }
+    
+    if (config.explosionRadius) {
+      this.splash(projectile.position.clone(), config.explosionRadius, config, [enemy.id], projectile);
+    }
+  }
+  
+  // onHit for an enemy, or one of its parts (armor soaks its share), credited
+  // to the source's owner
+  hitEnemy(source, enemyId, damage, options, part = null) {
+    if (!part) {
+      this.reportHit(source, source.id, enemyId, damage, options);
+      return;
+    }
+    
+    const armor = Math.min(1, Math.max(0, part.armor ?? 0));
+    this.reportHit(source, source.id, enemyId, damage * (1 - armor), { ...options, partId: part.id });
+  }
+  
+  // Goes to the owner's handlers; sourceId is null for chain and splash damage
+  reportHit(source, sourceId, enemyId, damage, options) {
+    this.landHit(source, {
+      targetKind: 'enemy',
+      sourceId,
+      targetId: enemyId,
+      damage,
+      options: { ...options, attackerId: source?.ownerId ?? null, attackerTeam: source?.team ?? null },
+    });
+  }
+  
+  // onPlayerHit on the struck combatant's own handlers
+  hitCombatant(source, combatantId, damage, options = {}) {
+    if (!this.combatants.has(combatantId)) return;
+    
+    this.landHit(source, {
+      targetKind: 'combatant',
+      sourceId: source.ownerId,
+      targetId: combatantId,
+      damage,
+      options: {
+        ...options,
+        sourceId: source.ownerId,
+        attackerId: source.ownerId,
+        attackerTeam: source.team,
+        targetId: combatantId,
+        weapon: source.config.name,
+        damageType: source.config.damageType,
+      },
+    });
+  }
+  
+  // The authority lands a hit: a HIT event for the peers, then the handlers.
+  // A client only records hits by its own shots as predictions.
+  landHit(source, hit) {
+    if (!this.authoritative) {
+      const owner = this.combatants.get(source?.ownerId);
+      if (owner && !owner.remote && source.netId != null && !this.predictions.has(source.netId)) {
+        this.predictions.set(source.netId, { time: this.time, ownerId: owner.id });
+      }
+      return;
+    }
+    
+    this.emit(COMBAT_EVENTS.HIT, {
+      ...hit,
+      combatantId: hit.options.attackerId,
+      sourceNetId: source?.netId ?? null,
+    });
+    this.deliverHit(hit);
+  }
+  
+  // Remote combatants hear about hits on them from their own peer
+  deliverHit({ targetKind, sourceId, targetId, damage, options }) {
+    const handlers = this.handlersFor(options.attackerId);
+    
+    if (targetKind === 'enemy') {
+      handlers.onHit?.(sourceId, targetId, damage, options);
+    } else if (targetKind === 'friendly') {
+      handlers.onFriendlyHit?.(sourceId, targetId, damage, options);
+    } else {
+      const combatant = this.combatants.get(targetId);
+      if (!combatant || combatant.remote) return;
+      this.handlersFor(targetId).onPlayerHit?.(damage, combatant.position, options);
+    }
+  }
+  
+  // First friendly on the segment, when IFF lets this weapon hit them
+  sweepFriendlies(from, to, config) {
+    if (!(config.friendlyFire ?? COMBAT_CONFIG.IFF.FRIENDLY_FIRE)) return null;
+    if (this.friendlies.length === 0) return null;
+    
+    const [hit] = sweepCandidates(
+      from, to, this.friendlyGrid.querySegment(from, to, 0),
+      entity => entity.hitRadius || COMBAT_CONFIG.BROADPHASE.DEFAULT_HIT_RADIUS,
+    );
+    return hit || null;
+  }
+  
+  hitFriendly(source, friendlyId, damage, options = {}) {
+    const damageMultiplier = COMBAT_CONFIG.IFF.FRIENDLY_FIRE_MULTIPLIER;
+    this.landHit(source, {
+      targetKind: 'friendly',
+      sourceId: source.id,
+      targetId: friendlyId,
+      damage: damage * damageMultiplier,
+      options: { ...options, isFriendlyFire: true, attackerId: source.ownerId, attackerTeam: source.team },
+    });
+  }
+  
+  // Homing weapons may track an enemy or a rival combatant
+  hitTarget(source, target, damage, options, part = null) {
+    if (target.isCombatant) {
+      this.hitCombatant(source, target.id, damage, options);
+    } else {
+      this.hitEnemy(source, target.id, damage, options, part);
+    }
+  }
+  
+  chainLightning(sourceEnemy, config, excludeIds = [], source = null) {
+    const chain = findChainTargets(
+      sourceEnemy, (position, radius) => this.getAreaCandidates(source, position, radius), config, excludeIds,
+    );
+    
+    chain.forEach((link, i) => {
+      this.hitArea(source, link.to, link.damage, {
+        isChain: true,
+        chainIndex: i + 1,
+        chainSourceId: sourceEnemy.id,
+      });
+      this.handlersFor(source?.ownerId).onChainArc?.(link.from.position.clone(), link.to.position.clone(), config.color);
+    });
+  }
+  
+  splash(center, radius, config, excludeIds = [], source = null) {
+    const candidates = this.getAreaCandidates(source, center, radius);
+    const hits = computeSplashDamage(center, radius, config, candidates, excludeIds);
+    
+    hits.forEach(hit => {
+      this.hitArea(source, hit.enemy, hit.damage, {
+        isSplash: true,
+        splashDistance: hit.distance,
+        splashFalloff: hit.falloff,
+        splashRadius: radius,
+        weapon: config.name,
+      });
+    });
+  }
+  
+  // Splash and chain damage: an enemy's comes with no sourceId, a rival
+  // combatant's through its own onPlayerHit
+  hitArea(source, entity, damage, options) {
+    if (entity.isCombatant) {
+      if (source) this.hitCombatant(source, entity.id, damage, options);
+    } else {
+      this.reportHit(source, null, entity.id, damage, options);
+    }
+  }
+  
+  updateMultiLockProjectile(projectile, dt) {
+    const { config } = projectile;
+    const target = this.resolveTarget(projectile.target);
+    const alive = this.time - projectile.spawnTime <= config.projectileLifetime;
+    if (!target?.position) return alive;
+    
+    const start = sweepStart.copy(projectile.position);
+    const toTarget = target.position.clone().sub(projectile.position).normalize();
+    projectile.position.addScaledVector(toTarget, config.projectileSpeed * 1.2 * dt);
+    
+    const hit = sweepTarget(start, projectile.position, target, 2);
+    if (hit) {
+      this.hitTarget(projectile, target, config.damage, { isMultiLock: true }, hit.part);
+      return false;
+    }
+    
+    return alive;
+  }
+  
+  updateChargedShot(shot, dt) {
+    const { config } = shot;
+    const target = this.resolveTarget(shot.target);
+    
+    if (target?.position && target.health > 0) {
+      const toTarget = target.position.clone().sub(shot.position).normalize();
+      const currentDir = shot.velocity.clone().normalize();
+      const newDir = currentDir.lerp(toTarget, Math.min(1, config.homingTurnRate * dt)).normalize();
+      shot.velocity = newDir.multiplyScalar(config.projectileSpeed);
+    }
+    
+    const start = sweepStart.copy(shot.position);
+    shot.position.addScaledVector(shot.velocity, dt);
+    
+    const [hit] = sweepCandidates(
+      start, shot.position, this.getCollisionCandidates(shot, start, shot.position, config.projectileScale),
+      enemy => (enemy.hitRadius || 1.5) + config.projectileScale, config.projectileScale,
+    );
+    const struck = hit?.entity;
+    if (hit) shot.position.lerpVectors(start, shot.position, hit.t);
+    
+    if (!struck && this.time - shot.spawnTime <= config.projectileLifetime) return true;
+    
+    if (struck) {
+      this.hitTarget(shot, struck, config.damage, {
+        isChargeShot: true,
+        chargeLevel: config.chargeLevel,
+      }, hit.part);
+    }
+    this.splash(shot.position.clone(), config.explosionRadius, config, struck ? [struck.id] : [], shot);
+    return false;
+  }
+  
+  updateMissile(missile, dt) {
+    const { config } = missile;
+    const elapsed = this.time - missile.spawnTime;
+    if (missile.health <= 0) return false;
+    
+    if (config.retarget && !missile.hostile && isTargetDead(missile.target, this.grid)) {
+      missile.target = this.findRetarget(missile);
+    }
+    
+    let target = this.resolveTarget(missile.target);
+    const { hasLineOfSight } = this.handlersFor(missile.ownerId);
+    
+    // Homing rides out brief occlusion; past the grace period the lock breaks
+    // and the missile flies on unguided
+    if (target?.position && hasLineOfSight) {
+      if (hasLineOfSight(missile.position, target)) {
+        missile.occludedFor = 0;
+      } else {
+        missile.occludedFor += dt * 1000;
+        if (missile.occludedFor > COMBAT_CONFIG.TARGETING.LOS_GRACE_PERIOD) {
+          missile.target = null;
+          target = null;
+        }
+      }
+    }
+    
+    // Penetrating missiles stop steering once their target is punched through
+    missile.speed = getMissileSpeed(config, elapsed);
+    if (target?.position && !missile.hitIds.has(target.id)) {
+      steerMissile(missile, target, config, dt);
+    } else if (config.boostTime) {
+      missile.velocity.setLength(missile.speed);
+    }
+    
+    const start = sweepStart.copy(missile.position);
+    missile.position.addScaledVector(missile.velocity, dt);
+    
+    // Unarmed missiles fly through whatever they touch
+    if (elapsed < (config.armingDelay ?? 0)) {
+      return true;
+    }
+    
+    if (config.penetrating) {
+      const maxPenetrations = config.maxPenetrations ?? Infinity;
+      const crossed = sweepCandidates(
+        start, missile.position, this.grid.querySegment(start, missile.position, 0),
+        enemy => enemy.hitRadius || 2, 0,
+        enemy => missile.hitIds.has(enemy.id) || (config.bossOnly && !enemy.isBoss),
+      );
+      
+      // Punch through in the order the path crosses them
+      crossed.forEach(({ entity: enemy, part }) => {
+        if (missile.hitIds.size >= maxPenetrations) return;
+        
+        missile.hitIds.add(enemy.id);
+        this.hitEnemy(missile, enemy.id, config.damage, {
+          isMissile: true,
+          penetrating: true,
+          penetrationIndex: missile.hitIds.size,
+        }, part);
+      });
+      
+      if (missile.hitIds.size >= maxPenetrations) return false;
+    } else if (target?.position && !(config.bossOnly && !target.isBoss)) {
+      const hit = sweepTarget(start, missile.position, target, target.hitRadius || 2);
+      if (hit && !this.evades(missile, target)) {
+        const options = { isMissile: true, penetrating: config.penetrating };
+        
+        // A decoyed missile spends itself on the flare
+        if (target.isDecoy) return false;
+        
+        this.hitTarget(missile, target, config.damage, options, hit.part);
+        return false;
+      }
+    }
+    
+    return this.time - missile.spawnTime <= config.lifetime;
+  }
+  
+  // --------------------------------------------------------------------------
+  // Countermeasures: flares, point defense and evasion against player missiles
+  // --------------------------------------------------------------------------
+  // enemy.countermeasures: { flares, flareRange, flareCooldown, decoyChance,
+  // pointDefense: true | { range, fireRate, damage, accuracy }, evasion }.
+  // Penetrating missiles ignore flares and can't be dodged.
+  getCountermeasureState(enemyId) {
+    let state = this.countermeasures.get(enemyId);
+    if (!state) {
+      state = { flaresUsed: 0, lastFlare: -Infinity, lastShot: -Infinity };
+      this.countermeasures.set(enemyId, state);
+    }
+    return state;
+  }
+  
+  updateCountermeasures() {
+    if (!this.missiles.some(missile => !missile.hostile)) return;
+    
+    this.enemies.forEach(enemy => {
+      const countermeasures = enemy?.countermeasures;
+      if (!countermeasures || !enemy.position || enemy.health <= 0) return;
+      
+      const state = this.getCountermeasureState(enemy.id);
+      if (countermeasures.flares) this.deployFlares(enemy, countermeasures, state);
+      if (countermeasures.pointDefense) this.firePointDefense(enemy, countermeasures.pointDefense, state);
+    });
+  }
+  
+  // One flare per cooldown while missiles close in. Each missile tracking the
+  // enemy within range rolls once per burning flare to chase it instead.
+  deployFlares(enemy, countermeasures, state) {
+    const { FLARE_RANGE, FLARE_COOLDOWN, FLARE_DECOY_CHANCE } = COMBAT_CONFIG.COUNTERMEASURES;
+    const range = countermeasures.flareRange ?? FLARE_RANGE;
+    const incoming = this.missiles.filter(missile => (
+      !missile.hostile && !missile.config.penetrating && missile.target?.id === enemy.id &&
+      missile.position.distanceTo(enemy.position) <= range
+    ));
+    if (incoming.length === 0) return;
+    
+    const flares = this.flares.filter(flare => flare.sourceId === enemy.id);
+    if (state.flaresUsed < countermeasures.flares &&
+        this.time - state.lastFlare >= (countermeasures.flareCooldown ?? FLARE_COOLDOWN)) {
+      state.flaresUsed++;
+      state.lastFlare = this.time;
+      flares.push(this.spawnFlare(enemy));
+    }
+    
+    const chance = countermeasures.decoyChance ?? FLARE_DECOY_CHANCE;
+    flares.forEach(flare => incoming.forEach(missile => {
+      if (missile.target.isDecoy || flare.rolled.has(missile.id)) return;
+      flare.rolled.add(missile.id);
+      if (this.random() >= chance * (1 - (missile.config.decoyResistance ?? 0))) return;
+      
+      missile.target = flare;
+      this.handlersFor(missile.ownerId).onMissileDecoyed?.(missile.id, {
+        enemyId: enemy.id,
+        reason: 'flare',
+        flareId: flare.id,
+        position: missile.position.clone(),
+        weapon: missile.config.name,
+      });
+    }));
+  }
+  
+  // Shoots at the nearest player missile in range
+  firePointDefense(enemy, pointDefense, state) {
+    const { POINT_DEFENSE_RANGE, POINT_DEFENSE_FIRE_RATE, POINT_DEFENSE_DAMAGE, POINT_DEFENSE_ACCURACY } = COMBAT_CONFIG.COUNTERMEASURES;
+    const options = pointDefense === true ? {} : pointDefense;
+    if (this.time - state.lastShot < (options.fireRate ?? POINT_DEFENSE_FIRE_RATE)) return;
+    
+    let nearest = null;
+    let nearestDist = options.range ?? POINT_DEFENSE_RANGE;
+    this.missiles.forEach(missile => {
+      if (missile.hostile || missile.health <= 0) return;
+      const dist = missile.position.distanceTo(enemy.position);
+      if (dist < nearestDist) {
+        nearest = missile;
+        nearestDist = dist;
+      }
+    });
+    if (!nearest) return;
+    
+    state.lastShot = this.time;
+    if (this.random() < (options.accuracy ?? POINT_DEFENSE_ACCURACY)) {
+      this.damageMissile(nearest.id, options.damage ?? POINT_DEFENSE_DAMAGE, enemy.id);
+    }
+  }
+  
+  // Damage to a missile in flight (point defense, or game code). A destroyed
+  // missile is removed on its next update. Returns true when this destroyed it.
+  // The missile's owner hears about it; for enemy missiles, the shooter does.
+  damageMissile(id, damage, sourceId = null) {
+    const missile = this.missiles.find(m => m.id === id);
+    if (!missile || missile.health <= 0) return false;
+    
+    missile.health -= damage;
+    if (missile.health > 0) return false;
+    
+    this.handlersFor(missile.hostile ? sourceId : missile.ownerId).onMissileDestroyed?.(missile.id, {
+      sourceId,
+      ownerId: missile.ownerId,
+      position: missile.position.clone(),
+      weapon: missile.config.name,
+      hostile: missile.hostile,
+    });
+    return true;
+  }
+  
+  // Rolls the struck enemy's evasion; a dodged missile never locks it again
+  evades(missile, target) {
+    if (missile.hostile || missile.config.penetrating || target.isDecoy) return false;
+    
+    const evasion = this.grid.get(target.id)?.countermeasures?.evasion;
+    if (!evasion || this.random() >= evasion) return false;
+    
+    missile.hitIds.add(target.id);
+    missile.target = missile.config.retarget ? this.findRetarget(missile) : null;
+    this.handlersFor(missile.ownerId).onMissileDecoyed?.(missile.id, {
+      enemyId: target.id,
+      reason: 'evasion',
+      position: missile.position.clone(),
+      weapon: missile.config.name,
+    });
+    return true;
+  }
+  
+  // --------------------------------------------------------------------------
+  // Shooting down hostile fire: missiles, shots whose config is shootable, and
+  // the game's own hostileProjectiles. Only fire from another team counts.
+  // --------------------------------------------------------------------------
+  getShootables() {
+    if (!this.shootables) {
+      this.shootables = [
+        ...this.missiles,
+        ...this.projectiles.filter(projectile => projectile.config.shootable),
+        ...this.hostileProjectiles,
+      ];
+    }
+    return this.shootables;
+  }
+  
+  // shooter is the projectile or combatant that fired
+  shootDown(entity, damage, shooter, weapon = shooter.config.name) {
+    const shooterId = shooter.ownerId ?? shooter.id;
+    
+    if (this.missiles.includes(entity)) {
+      this.damageMissile(entity.id, damage, shooterId);
+      return;
+    }
+    
+    // Our own shots die outright; the game decides what a hit does to its own
+    const external = !this.projectiles.includes(entity);
+    if (!external) entity.destroyed = true;
+    
+    this.handlersFor(shooterId).onHostileProjectileHit?.(entity.id, damage, {
+      position: entity.position.clone(),
+      sourceId: entity.sourceId ?? null,
+      attackerId: shooterId,
+      weapon,
+      destroyed: !external,
+      external,
+    });
+  }
+  
+  // POINT DEFENSE passive: shoots the nearest shootable within its radius
+  updatePlayerPointDefense(combatant) {
+    const config = COMBAT_CONFIG.PASSIVES.POINT_DEFENSE;
+    const { position } = combatant;
+    if (!(combatant.passives.POINT_DEFENSE > 0) || !position) return;
+    if (this.time - combatant.lastPointDefenseShot < config.fireRate) return;
+    
+    let nearest = null;
+    let nearestDist = config.radius;
+    this.getShootables().forEach(entity => {
+      if (!entity?.position || entity.health <= 0 || entity.destroyed) return;
+      if (isSameTeam(entity, combatant.team)) return;
+      const dist = entity.position.distanceTo(position);
+      if (dist < nearestDist) {
+        nearest = entity;
+        nearestDist = dist;
+      }
+    });
+    if (!nearest) return;
+    
+    combatant.lastPointDefenseShot = this.time;
+    const hit = this.random() < config.accuracy;
+    this.handlersFor(combatant.id).onPointDefenseShot?.(position.clone(), nearest.position.clone(), hit);
+    if (hit) this.shootDown(nearest, config.damage, combatant, config.name);
+  }
+  
+  updateFlare(flare, dt) {
+    flare.position.addScaledVector(flare.velocity, dt);
+    flare.progress = Math.min((this.time - flare.spawnTime) / COMBAT_CONFIG.COUNTERMEASURES.FLARE_LIFETIME, 1);
+    if (flare.progress < 1) return true;
+    
+    flare.health = 0;
+    return false;
+  }
+  
+  // Nearest live enemy ahead of a missile whose target died, within
+  // retargetRange (AUTO_LOCKON_RANGE by default) and in sight
+  findRetarget(missile) {
+    const { config } = missile;
+    const range = config.retargetRange ?? COMBAT_CONFIG.TARGETING.AUTO_LOCKON_RANGE;
+    const heading = guideHeading.copy(missile.velocity).normalize();
+    let best = null;
+    let bestDist = range;
+    
+    this.grid.queryRadius(missile.position, range).forEach(enemy => {
+      if (!enemy?.position || enemy.health <= 0) return;
+      if (config.bossOnly && !enemy.isBoss) return;
+      if (missile.hitIds.has(enemy.id)) return;
+      
+      guideRel.subVectors(enemy.position, missile.position);
+      const dist = guideRel.length();
+      if (dist >= bestDist || guideRel.dot(heading) <= 0) return;
+      const { hasLineOfSight } = this.handlersFor(missile.ownerId);
+      if (hasLineOfSight && !hasLineOfSight(missile.position, enemy)) return;
+      
+      best = enemy;
+      bestDist = dist;
+    });
+    
+    return best;
+  }
+  
+  updateGravityWell(well, dt) {
+    const { config } = well;
+    const handlers = this.handlersFor(well.ownerId);
+    
+    if (well.phase === 'collapse') {
+      well.affected.forEach(enemyId => this.landKill(well, enemyId, { isGravityCollapse: true }));
+      return false;
+    }
+    
+    const anchor = resolveLive(well.anchorEnemy, this.grid);
+    if (anchor?.position) {
+      well.position.copy(anchor.position);
+      
+      this.grid.queryRadius(anchor.position, config.gravityRadius).forEach(enemy => {
+        if (!enemy || !enemy.position || enemy.health <= 0) return;
+        if (enemy.id === anchor.id) return;
+        
+        const dist = anchor.position.distanceTo(enemy.position);
+        if (dist < config.gravityRadius && dist > 0.5) {
+          well.affected.add(enemy.id);
+          const pullDir = anchor.position.clone().sub(enemy.position).normalize();
+          const pullStrength = (1 - dist / config.gravityRadius) * config.gravityStrength * dt;
+          
+          if (this.authoritative) handlers.onPull?.(enemy.id, pullDir, pullStrength);
+        }
+      });
+    }
+    
+    // Collapse is held for one step so the flash gets rendered
+    if (this.time - well.spawnTime > config.collapseDelay) {
+      well.phase = 'collapse';
+      this.touch('gravityWells');
+    }
+    return true;
+  }
+  
+  // Like landHit: kills the authority decides, announced as KILL events
+  landKill(source, enemyId, options) {
+    if (!this.authoritative) return;
+    
+    const kill = {
+      combatantId: source.ownerId,
+      targetId: enemyId,
+      options: { ...options, attackerId: source.ownerId, attackerTeam: source.team },
+    };
+    this.emit(COMBAT_EVENTS.KILL, kill);
+    this.handlersFor(source.ownerId).onKill?.(enemyId, kill.options);
+  }
+  
+  updateThorStrike(strike) {
+    const { config, target } = strike;
+    
+    if (strike.phase === 'impact') {
+      if (target?.position) {
+        this.hitTarget(strike, target, config.damage, {
+          isThorStrike: true,
+          pushDown: true,
+          downForce: config.rodDownForce,
+        });
+        this.splash(strike.impactPosition, config.rodDamageRadius, config, [target.id], strike);
+      }
+      strike.phase = 'pushing';
+      this.touch('thorStrikes');
+    } else if (strike.phase === 'pushing') {
+      if (this.time - strike.spawnTime > 800) {
+        strike.phase = 'explode';
+        this.touch('thorStrikes');
+      }
+    } else {
+      return false;
+    }
+    return true;
+  }
+  
+  updateSmartbomb(bomb) {
+    const { config } = bomb;
+    bomb.progress = Math.min((this.time - bomb.spawnTime) / config.effectDuration, 1);
+    
+    if (!bomb.detonated && bomb.progress > 0.5) {
+      bomb.detonated = true;
+      this.enemies.forEach(enemy => {
+        if (!enemy || enemy.health <= 0) return;
+        if (config.bossImmune && enemy.isBoss) return;
+        
+        this.reportHit(bomb, null, enemy.id, config.damage, { isSmartbomb: true });
+      });
+    }
+    
+    return bomb.progress < 1;
+  }
+  
+  updateCustomEntity(entity, dt) {
+    return this.handlersFor(entity.ownerId).updateCustom?.(entity, dt);
+  }
+  
+  updateLoadout(combatant, dt) {
+    const { loadout } = combatant;
+    const handlers = this.handlersFor(combatant.id);
+    
+    ['gun', 'missile'].forEach(slot => {
+      const weapon = loadout[slot];
+      if (weapon.timer <= 0) return;
+      
+      weapon.timer -= dt * 1000;
+      if (weapon.timer <= 0) {
+        weapon.timer = 0;
+        handlers.onTimerExpired?.(slot);
+      }
+    });
+    
+    const missile = loadout.missile;
+    const config = missile.config;
+    if (!config || config.unlimited) return;
+    
+    if (missile.reloading) {
+      missile.reloadElapsed += dt * 1000;
+      if (missile.reloadElapsed >= config.reloadTime) {
+        missile.reloading = false;
+        missile.ammo = config.maxAmmo;
+      }
+    } else if (missile.ammo <= 0 && config.reloadTime) {
+      missile.reloading = true;
+      missile.reloadElapsed = 0;
+    } else if (missile.ammo <= 0 && !missile.depleted) {
+      missile.depleted = true;
+      handlers.onAmmoDepleted?.('missile');
+    }
+  }
+  
+  updatePassives(combatant, dt) {
+    const names = Object.keys(combatant.passives);
+    if (names.length === 0) return;
+    
+    const next = {};
+    names.forEach(name => {
+      const remaining = combatant.passives[name] - dt * 1000;
+      if (remaining > 0) {
+        next[name] = remaining;
+      } else if (!combatant.remote) {
+        // A remote combatant's own peer announces its expiry
+        this.emit(COMBAT_EVENTS.PASSIVE_END, { combatantId: combatant.id, name });
+      }
+    });
+    combatant.passives = next;
+  }
+}
@@ -1,216 +1,19 @@
 import React, { useRef, useState, useEffect, useCallback, useMemo, createContext, useContext } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
-import { Vector3, MathUtils, Color, CatmullRomCurve3 } from 'three';
-import { Html } from '@react-three/drei';
+import { Vector3, MathUtils, Color, CatmullRomCurve3, Matrix4, Quaternion, AdditiveBlending, Raycaster } from 'three';
+import { Html, Line } from '@react-three/drei';
+import {
+  COMBAT_CONFIG,
+  CombatSimulation,
+  SpatialGrid,
+  PLAYER_TARGET_ID,
+  GUIDANCE_MODELS,
+  COMBAT_EVENTS,
+  getLockableParts,
+  resolvePartTarget,
+} from './CombatSimulation';
 
-// ============================================================================
-// COMBAT SYSTEM CONFIGURATION
-// ============================================================================
-export const COMBAT_CONFIG = {
-  // Targeting System
-  TARGETING: {
-    AUTO_LOCKON_RANGE: 150,
-    TARGET_CYCLE_COOLDOWN: 200,
-    LOCKON_INDICATOR_SIZE: 2,
-    MAX_MISSILE_TARGETS: 8,
-    TARGET_LEAD_FACTOR: 0.5,
-  },
-  
-  // Gun Weapons
-  GUNS: {
-    RAPID: {
-      name: 'RAPID',
-      type: 'gun',
-      fireRate: 100,
-      damage: 10,
-      projectileSpeed: 80,
-      projectileLifetime: 2000,
-      spread: 0,
-      projectilesPerShot: 1,
-      unlimited: true,
-      color: '#00ff88',
-      description: 'Standard rapid-fire cannon',
-    },
-    FLAK: {
-      name: 'FLAK',
-      type: 'gun',
-      fireRate: 250,
-      damage: 15,
-      projectileSpeed: 60,
-      projectileLifetime: 1500,
-      spread: 0.4,
-      projectilesPerShot: 8,
-      duration: 10000,
-      explosionRadius: 5,
-      color: '#ff8844',
-      description: 'Wide cone explosive shells',
-    },
-    LIGHTNING: {
-      name: 'LIGHTNING',
-      type: 'gun',
-      fireRate: 150,
-      damage: 8,
-      projectileSpeed: 120,
-      projectileLifetime: 800,
-      spread: 0.1,
-      projectilesPerShot: 1,
-      duration: 10000,
-      chainCount: 4,
-      chainRange: 15,
-      color: '#88ccff',
-      description: 'Chain lightning arcs between enemies',
-    },
-    BEAM: {
-      name: 'BEAM',
-      type: 'gun',
-      fireRate: 0,
-      damage: 50,
-      beamWidth: 1.5,
-      beamRange: 100,
-      duration: 10000,
-      isConstant: true,
-      color: '#ff00ff',
-      description: 'Continuous high-power laser beam',
-    },
-    GRAVITY: {
-      name: 'GRAVITY',
-      type: 'gun',
-      fireRate: 400,
-      damage: 25,
-      projectileSpeed: 80,
-      projectileLifetime: 2000,
-      spread: 0,
-      projectilesPerShot: 1,
-      duration: 10000,
-      gravityRadius: 25,
-      gravityStrength: 40,
-      collapseDelay: 1200,
-      color: '#9900ff',
-      unlockable: true,
-      description: 'Hit creates gravity well on enemy, pulling squad together then destroying all',
-    },
-  },
-  
-  // Missile Weapons
-  MISSILES: {
-    HELLFIRE: {
-      name: 'HELLFIRE',
-      type: 'missile',
-      fireRate: 150,
-      damage: 40,
-      missileSpeed: 45,
-      turnRate: 8,
-      lifetime: 4000,
-      maxAmmo: 32,
-      reloadTime: 20000,
-      multiLock: true,
-      maxTargets: 8,
-      color: '#ff4400',
-      trailColor: '#ff8800',
-      description: 'Multi-lock homing missiles',
-    },
-    SMARTBOMB: {
-      name: 'SMARTBOMB',
-      type: 'missile',
-      damage: 9999,
-      maxAmmo: 1,
-      isScreenClear: true,
-      bossImmune: true,
-      effectDuration: 1000,
-      color: '#ffffff',
-      description: 'Destroys all enemies on screen (bosses immune)',
-    },
-    BUSTER: {
-      name: 'BUSTER',
-      type: 'missile',
-      fireRate: 0,
-      damage: 500,
-      missileSpeed: 100,
-      turnRate: 2,
-      lifetime: 5000,
-      maxAmmo: 1,
-      bossOnly: true,
-      penetrating: true,
-      color: '#ffff00',
-      trailColor: '#ff8800',
-      description: 'Anti-capital ship missile (misses normal enemies)',
-    },
-    BARRAGE: {
-      name: 'BARRAGE',
-      type: 'missile',
-      fireRate: 75,
-      damage: 30,
-      missileSpeed: 55,
-      turnRate: 6,
-      lifetime: 3000,
-      unlimited: true,
-      duration: 20000,
-      multiLock: false,
-      color: '#ff6600',
-      trailColor: '#ff4400',
-      description: 'Unlimited rapid-fire missiles',
-    },
-    THOR: {
-      name: 'THOR',
-      type: 'missile',
-      fireRate: 300,
-      damage: 150,
-      rodImpactInstant: true,
-      rodDownForce: 50,
-      rodDamageRadius: 10,
-      unlimited: true,
-      duration: 15000,
-      maxPaintedTargets: 5,
-      painterColor: '#ff0000',
-      painterWidth: 0.15,
-      rodColor: '#ffffff',
-      color: '#00ffff',
-      description: 'Orbital kinetic strike - instant rod impact pushes targets to ground',
-    },
-  },
-  
-  // Passive Powerups
-  PASSIVES: {
-    MULTILOCK: {
-      name: 'MULTI-LOCK',
-      duration: 30000,
-      color: '#ffaa00',
-      description: 'Lock entire squadron, fires one projectile per enemy in gun mode',
-      locksWeaponSwitch: true,
-      forcesGunMode: true,
-    },
-    OVERDRIVE: {
-      name: 'OVERDRIVE',
-      duration: 30000,
-      color: '#00ffff',
-      description: '2x movement speed, 2x barrel roll, 50% faster cooldowns',
-      movementMultiplier: 2.0,
-      barrelRollMultiplier: 2.0,
-      evadeCooldownReduction: 0.5,
-      boostMultiplier: 2.0,
-      boostCooldownReduction: 0.5,
-    },
-    ACTIVE_ARMOR: {
-      name: 'ACTIVE ARMOR',
-      duration: 30000,
-      color: '#4488ff',
-      description: 'Blue explosions on hit, 90% damage reduction',
-      damageReduction: 0.9,
-      explosionColor: '#4488ff',
-      explosionRadius: 3,
-    },
-  },
-  
-  // Visual Effects
-  EFFECTS: {
-    MUZZLE_FLASH_DURATION: 50,
-    EXPLOSION_DURATION: 300,
-    CHAIN_LIGHTNING_SEGMENTS: 8,
-    BEAM_PULSE_SPEED: 10,
-    GRAVITY_WELL_ROTATION: 3,
-    THOR_PAINTER_PULSE: 5,
-  },
-};
+export { COMBAT_CONFIG, CombatSimulation, SpatialGrid, GUIDANCE_MODELS, COMBAT_EVENTS };
 
 // ============================================================================
 // COMBAT CONTEXT
@@ -225,20 +28,474 @@ export function useCombatSystem() {
   return context;
 }
 
+// ============================================================================
+// COMBAT HELPERS
+// ============================================================================
+
+// Resolves an enemyWeapons entry ('RAPID' or { weapon, firing, range, ... }) into
+// a hostile copy of the weapon config. Weapons with no sensible hostile use
+// (screen clears, orbital strikes, gravity wells, boss-only missiles) are skipped.
+function resolveEnemyWeapon(entry) {
+  if (!entry) return null;
+  
+  const spec = typeof entry === 'string' ? { weapon: entry } : entry;
+  const base = COMBAT_CONFIG.GUNS[spec.weapon] || COMBAT_CONFIG.MISSILES[spec.weapon];
+  if (!base) return null;
+  if (base.isScreenClear || base.rodImpactInstant || base.gravityRadius || base.bossOnly) return null;
+  
+  const { ENGAGE_RANGE, DAMAGE_MULTIPLIER, FIRE_RATE_MULTIPLIER } = COMBAT_CONFIG.ENEMY_FIRE;
+  
+  return {
+    firing: spec.firing !== false,
+    range: spec.range ?? ENGAGE_RANGE,
+    config: {
+      ...base,
+      damage: base.damage * (spec.damageMultiplier ?? DAMAGE_MULTIPLIER),
+      fireRate: (base.fireRate || 0) * (spec.fireRateMultiplier ?? FIRE_RATE_MULTIPLIER),
+      color: spec.color || base.color,
+      shootable: spec.shootable ?? base.shootable,
+    },
+  };
+}
+
+// Splits incoming player damage into what the shield soaks and what reaches the
+// hull, after the damage type's resistance and any flat reduction (ACTIVE ARMOR).
+function resolvePlayerDamage(damage, damageType, shield, reduction = 0) {
+  const resistance = COMBAT_CONFIG.PLAYER.RESISTANCES[damageType] ?? 0;
+  const mitigated = damage * (1 - resistance) * (1 - reduction);
+  const shieldAbsorbed = Math.min(shield, mitigated);
+  
+  return {
+    incoming: damage,
+    resisted: damage - mitigated,
+    shieldAbsorbed,
+    hullDamage: mitigated - shieldAbsorbed,
+  };
+}
+
+// Charge settings for a gun, or null if it can't charge. chargeShot may be true
+// for the COMBAT_CONFIG.CHARGE defaults or an object overriding any of them.
+function getChargeConfig(config) {
+  if (!config?.chargeShot) return null;
+  
+  const overrides = typeof config.chargeShot === 'object' ? config.chargeShot : {};
+  const { CHARGE } = COMBAT_CONFIG;
+  
+  return {
+    threshold: overrides.threshold ?? CHARGE.THRESHOLD,
+    levelTime: overrides.levelTime ?? CHARGE.LEVEL_TIME,
+    maxLevel: overrides.maxLevel ?? CHARGE.MAX_LEVEL,
+    damagePerLevel: overrides.damagePerLevel ?? CHARGE.DAMAGE_PER_LEVEL,
+    radiusPerLevel: overrides.radiusPerLevel ?? CHARGE.RADIUS_PER_LEVEL,
+    speed: overrides.speed ?? CHARGE.SPEED,
+    lifetime: overrides.lifetime ?? CHARGE.LIFETIME,
+    homingTurnRate: overrides.homingTurnRate ?? CHARGE.HOMING_TURN_RATE,
+    color: overrides.color ?? CHARGE.COLOR,
+  };
+}
+
+// Heat settings for a weapon, or null if it never heats up. heat may be true for
+// the COMBAT_CONFIG.HEAT defaults or an object overriding any of them.
+function getHeatConfig(config) {
+  if (!config?.heat) return null;
+  
+  const overrides = typeof config.heat === 'object' ? config.heat : {};
+  const { HEAT } = COMBAT_CONFIG;
+  
+  return {
+    max: overrides.max ?? HEAT.MAX,
+    perShot: overrides.perShot ?? HEAT.PER_SHOT,
+    coolRate: overrides.coolRate ?? HEAT.COOL_RATE,
+    coolDelay: overrides.coolDelay ?? HEAT.COOL_DELAY,
+    overheatLockout: overrides.overheatLockout ?? HEAT.OVERHEAT_LOCKOUT,
+    ventMultiplier: overrides.ventMultiplier ?? HEAT.VENT_MULTIPLIER,
+  };
+}
+
+// Highest level a weapon can reach; weapons without a levels table stay at Lv1
+function getMaxWeaponLevel(weapon) {
+  const { ENABLED, MAX_LEVEL } = COMBAT_CONFIG.UPGRADES;
+  if (!ENABLED || !Array.isArray(weapon?.levels)) return 1;
+  return Math.max(1, Math.min(weapon.levels.length, MAX_LEVEL));
+}
+
+// Weapon config with the overrides for a level (1-based) applied on top
+function applyWeaponLevel(weapon, level = 1) {
+  const clamped = MathUtils.clamp(Math.floor(level), 1, getMaxWeaponLevel(weapon));
+  return { ...weapon, ...weapon.levels?.[clamped - 1], level: clamped };
+}
+
+// Inventory entry for a collected weapon. timer is null for weapons that never
+// run out; ammo is only tracked for missiles.
+function createInventoryEntry(key, weapon, isDefault = false) {
+  const isGun = weapon.type !== 'missile';
+  
+  return {
+    key,
+    timer: isDefault ? null : isGun ? (weapon.duration || 10000) : (weapon.duration || null),
+    ammo: isGun ? null : (weapon.maxAmmo || 999),
+  };
+}
+
+// Adds a pickup to an inventory, or refreshes it in place if already held. With the
+// inventory disabled only the default weapon is kept alongside the pickup.
+function addToInventory(entries, entry, defaultKey, equippedKey) {
+  const { ENABLED, MAX_SLOTS } = COMBAT_CONFIG.INVENTORY;
+  const kept = entries.filter(e => ENABLED || e.key === defaultKey || e.key === entry.key);
+  
+  const existingIndex = kept.findIndex(e => e.key === entry.key);
+  if (existingIndex !== -1) {
+    kept[existingIndex] = entry;
+    return kept;
+  }
+  
+  while (kept.length >= MAX_SLOTS) {
+    const dropIndex = kept.findIndex(e => e.key !== defaultKey && e.key !== equippedKey);
+    if (dropIndex === -1) break;
+    kept.splice(dropIndex, 1);
+  }
+  
+  return [...kept, entry];
+}
+
+// Counts down timers of weapons that aren't equipped, dropping any that run out
+function tickUnequippedTimers(entries, equippedKey, delta) {
+  let changed = false;
+  
+  const next = entries.reduce((kept, entry) => {
+    if (entry.key === equippedKey || entry.timer === null) {
+      kept.push(entry);
+      return kept;
+    }
+    
+    changed = true;
+    const timer = entry.timer - delta * 1000;
+    if (timer > 0) {
+      kept.push({ ...entry, timer });
+    }
+    return kept;
+  }, []);
+  
+  return changed ? next : entries;
+}
+
+// Jagged polyline between two points for lightning arcs
+function buildLightningPoints(from, to, segments = COMBAT_CONFIG.EFFECTS.CHAIN_LIGHTNING_SEGMENTS) {
+  const jitter = COMBAT_CONFIG.EFFECTS.CHAIN_LIGHTNING_JITTER;
+  const points = [from.clone()];
+  
+  for (let i = 1; i < segments; i++) {
+    const point = from.clone().lerp(to, i / segments);
+    point.x += (Math.random() - 0.5) * jitter;
+    point.y += (Math.random() - 0.5) * jitter;
+    point.z += (Math.random() - 0.5) * jitter;
+    points.push(point);
+  }
+  
+  points.push(to.clone());
+  return points;
+}
+
+// Occlusion test shared by lock-on, beams and missiles: (from, to) => distance
+// to the first blocking surface, or null when the way is clear. A raycast
+// callback wins over occluder meshes; with neither there is no test at all.
+const occlusionRaycaster = new Raycaster();
+
+function createOcclusionTest(occluders, raycast) {
+  if (raycast) return raycast;
+  if (!occluders?.length) return null;
+  
+  return (from, to) => {
+    const direction = to.clone().sub(from);
+    const length = direction.length();
+    if (length === 0) return null;
+    
+    occlusionRaycaster.set(from, direction.divideScalar(length));
+    occlusionRaycaster.far = length;
+    
+    // Accept refs as well as objects
+    const objects = occluders.map(o => o?.current ?? o).filter(Boolean);
+    const [hit] = occlusionRaycaster.intersectObjects(objects, true);
+    return hit ? hit.distance : null;
+  };
+}
+
+// Clear when nothing blocks the way before the target's own hit radius
+function hasLineOfSight(occlusion, from, target) {
+  if (!occlusion || !from || !target?.position) return true;
+  
+  const blockedAt = occlusion(from, target.position);
+  if (blockedAt === null || blockedAt === undefined) return true;
+  return blockedAt >= from.distanceTo(target.position) - (target.hitRadius || 0);
+}
+
+// ============================================================================
+// WEAPON REGISTRY
+// ============================================================================
+// Each weapon config names a behavior. A behavior's fire(api) decides what a
+// trigger pull does; CombatSystem owns cooldowns, ammo checks and rendering.
+const WEAPON_REGISTRY = {};
+
+export function registerWeapon(definition) {
+  const { id, slot = 'gun', config } = definition || {};
+  
+  if (!id) {
+    throw new Error('registerWeapon requires an id');
+  }
+  if (slot !== 'gun' && slot !== 'missile') {
+    throw new Error(`registerWeapon: unknown slot "${slot}" for ${id}`);
+  }
+  if (typeof definition.fire !== 'function') {
+    throw new Error(`registerWeapon: ${id} must provide a fire(api) function`);
+  }
+  
+  WEAPON_REGISTRY[id] = { ...definition, slot };
+  
+  // Weapons that bring their own stats become regular COMBAT_CONFIG entries,
+  // so pickups and the HUD treat them like any built-in weapon
+  if (config) {
+    const table = slot === 'gun' ? COMBAT_CONFIG.GUNS : COMBAT_CONFIG.MISSILES;
+    table[id] = {
+      name: id,
+      type: slot,
+      fireRate: 0,
+      damage: 0,
+      ...config,
+      behavior: id,
+    };
+  }
+  
+  return WEAPON_REGISTRY[id];
+}
+
+export function unregisterWeapon(id) {
+  const definition = WEAPON_REGISTRY[id];
+  if (!definition) return;
+  
+  delete WEAPON_REGISTRY[id];
+  
+  const table = definition.slot === 'gun' ? COMBAT_CONFIG.GUNS : COMBAT_CONFIG.MISSILES;
+  if (table[id]?.behavior === id) {
+    delete table[id];
+  }
+}
+
+export function getWeaponBehavior(config) {
+  if (!config) return null;
+  if (config.behavior && WEAPON_REGISTRY[config.behavior]) {
+    return WEAPON_REGISTRY[config.behavior];
+  }
+  
+  // Configs added without a behavior fall back on their feature flags
+  if (config.isConstant) return WEAPON_REGISTRY.beam;
+  if (config.isScreenClear) return WEAPON_REGISTRY.screenClear;
+  if (config.rodImpactInstant) return WEAPON_REGISTRY.orbitalStrike;
+  if (config.type === 'missile') {
+    return config.multiLock ? WEAPON_REGISTRY.multiLockMissile : WEAPON_REGISTRY.missile;
+  }
+  return WEAPON_REGISTRY.projectile;
+}
+
+// Hold-to-paint weapons lock targets while the trigger is held and fire on release
+function paintsLocks(config) {
+  return config?.paintInterval > 0 && !!getWeaponBehavior(config)?.paintsLocks;
+}
+
+registerWeapon({
+  id: 'projectile',
+  slot: 'gun',
+  fire: ({ config, origin, aimDirection, spawnProjectile }) => {
+    // barrelSpacing fires side-by-side parallel shots (twin lasers) instead of a cone
+    const side = new Vector3().crossVectors(aimDirection, new Vector3(0, 1, 0)).normalize();
+    
+    for (let i = 0; i < config.projectilesPerShot; i++) {
+      const dir = aimDirection.clone();
+      
+      if (config.spread > 0) {
+        dir.x += (Math.random() - 0.5) * config.spread;
+        dir.y += (Math.random() - 0.5) * config.spread;
+        dir.normalize();
+      }
+      
+      if (config.barrelSpacing) {
+        const offset = (i - (config.projectilesPerShot - 1) / 2) * config.barrelSpacing;
+        spawnProjectile(dir, { position: origin.clone().addScaledVector(side, offset) });
+      } else {
+        spawnProjectile(dir);
+      }
+    }
+  },
+});
+
+registerWeapon({
+  id: 'beam',
+  slot: 'gun',
+  continuous: true,
+  fire: ({ setBeamActive }) => {
+    setBeamActive(true);
+    return false;
+  },
+});
+
+registerWeapon({
+  id: 'multiLockGun',
+  slot: 'gun',
+  lockOn: true,
+  fireLabel: (config) => config.name + ' (MULTI-LOCK)',
+  fire: ({ targeting, spawnMultiLockProjectile }) => {
+    const allTargets = targeting.lockAllTargets();
+    allTargets.forEach((target, i) => spawnMultiLockProjectile(target, i * 30));
+  },
+});
+
+registerWeapon({
+  id: 'screenClear',
+  slot: 'missile',
+  fire: ({ ammo, triggerSmartbomb, consumeAmmo }) => {
+    if (ammo <= 0) return false;
+    triggerSmartbomb();
+    consumeAmmo(1);
+  },
+});
+
+registerWeapon({
+  id: 'orbitalStrike',
+  slot: 'missile',
+  lockOn: true,
+  fire: ({ config, autoLockEnabled, aimTarget, targeting, setThorActive, spawnThorStrike }) => {
+    setThorActive(true);
+    
+    const targets = autoLockEnabled 
+      ? targeting.lockMultipleTargets(config.maxPaintedTargets)
+      : [{ position: aimTarget, id: 'manual' }];
+    
+    targets.forEach(target => {
+      if (!target?.position) return;
+      spawnThorStrike(target);
+    });
+  },
+});
+
+registerWeapon({
+  id: 'multiLockMissile',
+  slot: 'missile',
+  lockOn: true,
+  paintsLocks: true,
+  fire: ({ config, origin, targeting, spawnMissile, consumeAmmo }) => {
+    // Painting weapons fire one missile per painted lock
+    const targets = paintsLocks(config)
+      ? targeting.releasePaintedLocks()
+      : targeting.lockMultipleTargets(config.maxTargets);
+    if (paintsLocks(config) && targets.length === 0) return false;
+    
+    targets.forEach((target, i) => {
+      const position = origin.clone().add(new Vector3(
+        (Math.random() - 0.5) * 2,
+        (Math.random() - 0.5) * 2,
+        0
+      ));
+      spawnMissile(target, { position, delay: i * 50 });
+    });
+    
+    if (!config.unlimited) {
+      consumeAmmo(targets.length);
+    }
+  },
+});
+
+registerWeapon({
+  id: 'missile',
+  slot: 'missile',
+  fire: ({ config, aimTarget, targeting, spawnMissile, consumeAmmo }) => {
+    spawnMissile(targeting.currentTarget || { position: aimTarget });
+    
+    if (!config.unlimited) {
+      consumeAmmo(1);
+    }
+  },
+});
+
 // ============================================================================
 // TARGETING SYSTEM HOOK
 // ============================================================================
-export function useTargetingSystem(enemies = [], playerPosition, autoLockEnabled = true) {
-  const [currentTarget, setCurrentTarget] = useState(null);
+const DEFAULT_AIM_DIRECTION = new Vector3(0, 0, -1);
+
+// Weighted lock priority: centred in the cone, close, threatening, bosses
+function scoreLockCandidate(enemy) {
+  const { AUTO_LOCKON_RANGE, LOCK_CONE_ANGLE, SCORE_WEIGHTS } = COMBAT_CONFIG.TARGETING;
+  const angleScore = LOCK_CONE_ANGLE > 0 ? 1 - enemy.lockAngle / LOCK_CONE_ANGLE : 1;
+  const distanceScore = 1 - enemy.distance / AUTO_LOCKON_RANGE;
+  const threat = MathUtils.clamp(enemy.threat ?? 0, 0, 1);
+  
+  return SCORE_WEIGHTS.ANGLE * angleScore
+    + SCORE_WEIGHTS.DISTANCE * distanceScore
+    + SCORE_WEIGHTS.THREAT * threat
+    + SCORE_WEIGHTS.BOSS * (enemy.isBoss ? 1 : 0);
+}
+
+// Who inherits the primary target when it's destroyed or drops out of the
+// candidates (TARGETING.TARGET_LOST_FALLBACK):
+//   'nearest' - the candidate closest to where the old target was last seen
+//   'next'    - the first survivor after it in the last known cycle order
+//   'none'    - nobody until the player cycles
+function pickFallbackTarget(rule, lost, candidates, lastOrder) {
+  if (!lost || candidates.length === 0 || rule === 'none') return null;
+  
+  if (rule === 'next') {
+    const start = lastOrder.indexOf(lost.id);
+    for (let i = 1; i <= lastOrder.length; i++) {
+      const id = lastOrder[(start + i) % lastOrder.length];
+      const survivor = candidates.find(e => e.id === id);
+      if (survivor) return survivor;
+    }
+    return candidates[0];
+  }
+  
+  // Ties keep candidate order
+  return candidates.reduce((best, enemy) => (
+    lost.position.distanceTo(enemy.position) < lost.position.distanceTo(best.position) ? enemy : best
+  ));
+}
+
+// Options:
+//   lineOfSight(from, target) - enemies out of sight stay lockable for
+//     TARGETING.LOS_GRACE_PERIOD after they were last seen
+//   aimDirection - centre of the lock cone (default: straight ahead, -Z)
+//   onTargetChanged(target, previous) - the primary target switched (either may be null)
+//   onTargetLost(previous, reason) - it was 'destroyed' or went 'outOfRange'
+//     (left range, cone or sight)
+// The primary target is tracked by enemy id, so it survives re-sorting. Locks
+// take TARGETING.LOCK_ACQUIRE_TIME to acquire; until then it is only reported
+// as lockCandidate with a rising lockProgress.
+export function useTargetingSystem(enemies = [], playerPosition, autoLockEnabled = true, {
+  lineOfSight,
+  aimDirection,
+  onTargetChanged,
+  onTargetLost,
+} = {}) {
+  const [targetId, setTargetId] = useState(null);
+  const [partId, setPartId] = useState(null);
+  const [lock, setLock] = useState({ id: null, progress: 0 });
   const [lockedTargets, setLockedTargets] = useState([]);
-  const [targetIndex, setTargetIndex] = useState(0);
+  const [painted, setPainted] = useState([]);
+  const paintedRef = useRef([]);
+  const lastTarget = useRef(null);
+  const lastOrder = useRef([]);
+  const reportedTarget = useRef(null);
+  const holdEmpty = useRef(false);
   const lastCycleTime = useRef(0);
-  
-  // Sort enemies by distance
-  const sortedEnemies = useMemo(() => {
+  const lastSeen = useRef({});
+  const [sighted, setSighted] = useState(() => new Set());
+  const inConeSince = useRef({});
+  const lockStart = useRef({ id: null, time: 0 });
+  const [grid] = useState(() => new SpatialGrid());
+  
+  // Enemies in lock-on range, nearest first
+  const nearbyEnemies = useMemo(() => {
     if (!playerPosition || enemies.length === 0) return [];
     
-    return enemies
+    return grid.rebuild(enemies)
+      .queryRadius(playerPosition, COMBAT_CONFIG.TARGETING.AUTO_LOCKON_RANGE)
       .filter(e => e && e.position && e.health > 0)
       .map(enemy => ({
         ...enemy,
@@ -246,206 +503,400 @@ export function useTargetingSystem(enemies = [], playerPosition, autoLockEnabled
       }))
       .filter(e => e.distance < COMBAT_CONFIG.TARGETING.AUTO_LOCKON_RANGE)
       .sort((a, b) => a.distance - b.distance);
-  }, [enemies, playerPosition]);
+  }, [grid, enemies, playerPosition]);
+  
+  // Sight is checked every frame rather than during render, so a repeated or
+  // discarded render can't touch lastSeen and the grace period runs out on time.
+  // sighted only changes when an enemy comes into or drops out of sight.
+  useFrame(() => {
+    if (!lineOfSight || !playerPosition) return;
+    
+    const now = Date.now();
+    const visible = nearbyEnemies.filter(enemy => {
+      if (lineOfSight(playerPosition, enemy)) {
+        lastSeen.current[enemy.id] = now;
+        return true;
+      }
+      return now - (lastSeen.current[enemy.id] ?? -Infinity) <= COMBAT_CONFIG.TARGETING.LOS_GRACE_PERIOD;
+    });
+    
+    if (visible.length !== sighted.size || visible.some(enemy => !sighted.has(enemy.id))) {
+      setSighted(new Set(visible.map(enemy => enemy.id)));
+    }
+  });
+  
+  // Enemies in lock-on range and in sight, nearest first
+  const inRangeEnemies = useMemo(
+    () => (lineOfSight ? nearbyEnemies.filter(enemy => sighted.has(enemy.id)) : nearbyEnemies),
+    [nearbyEnemies, lineOfSight, sighted]
+  );
+  
+  // Lock candidates inside the cone, best score first
+  const sortedEnemies = useMemo(() => {
+    if (!playerPosition) return [];
+    
+    const forward = aimDirection || DEFAULT_AIM_DIRECTION;
+    return inRangeEnemies
+      .map(enemy => ({
+        ...enemy,
+        lockAngle: MathUtils.radToDeg(forward.angleTo(enemy.position.clone().sub(playerPosition))),
+      }))
+      .filter(enemy => enemy.lockAngle <= COMBAT_CONFIG.TARGETING.LOCK_CONE_ANGLE)
+      .map(enemy => ({ ...enemy, lockScore: scoreLockCandidate(enemy) }))
+      .sort((a, b) => b.lockScore - a.lockScore);
+  }, [inRangeEnemies, playerPosition, aimDirection]);
+  
+  // Missile locks count from when each enemy entered the cone
+  useEffect(() => {
+    const now = Date.now();
+    const since = {};
+    sortedEnemies.forEach(enemy => {
+      since[enemy.id] = inConeSince.current[enemy.id] ?? now;
+    });
+    inConeSince.current = since;
+  }, [sortedEnemies]);
+  
+  const targetEnemy = useMemo(
+    () => (targetId === null ? null : sortedEnemies.find(e => e.id === targetId) || null),
+    [sortedEnemies, targetId]
+  );
+  
+  // A locked part stands in for its enemy until the part is destroyed
+  const lockCandidate = useMemo(
+    () => (partId !== null && resolvePartTarget(targetEnemy, partId)) || targetEnemy,
+    [targetEnemy, partId]
+  );
+  
+  useEffect(() => {
+    setPartId(null);
+  }, [targetId]);
+  
+  // Keep the primary target by id; pick a fallback when it's gone, or the best
+  // candidate when there is none
+  useEffect(() => {
+    if (!autoLockEnabled) {
+      if (targetId !== null) setTargetId(null);
+      return;
+    }
+    
+    if (targetEnemy) {
+      lastTarget.current = targetEnemy;
+      lastOrder.current = sortedEnemies.map(e => e.id);
+      return;
+    }
+    
+    if (targetId !== null) {
+      const lost = lastTarget.current;
+      const live = enemies.find(e => e?.id === targetId);
+      if (lost) onTargetLost?.(lost, live && !(live.health <= 0) ? 'outOfRange' : 'destroyed');
+      
+      const rule = COMBAT_CONFIG.TARGETING.TARGET_LOST_FALLBACK;
+      const fallback = pickFallbackTarget(rule, lost, sortedEnemies, lastOrder.current);
+      holdEmpty.current = rule === 'none';
+      setTargetId(fallback ? fallback.id : null);
+      return;
+    }
+    
+    if (!holdEmpty.current && sortedEnemies.length > 0) {
+      setTargetId(sortedEnemies[0].id);
+    }
+  }, [autoLockEnabled, targetId, targetEnemy, sortedEnemies, enemies, onTargetLost]);
   
-  // Auto-lock to nearest enemy
   useEffect(() => {
-    if (autoLockEnabled && sortedEnemies.length > 0) {
-      const validIndex = Math.min(targetIndex, sortedEnemies.length - 1);
-      setCurrentTarget(sortedEnemies[validIndex] || null);
-    } else if (!autoLockEnabled) {
-      setCurrentTarget(null);
+    const previous = reportedTarget.current;
+    if ((previous?.id ?? null) === targetId) return;
+    
+    reportedTarget.current = targetEnemy;
+    onTargetChanged?.(targetEnemy, previous);
+  }, [targetId, targetEnemy, onTargetChanged]);
+  
+  // Lock tone: the candidate must hold for LOCK_ACQUIRE_TIME; switching restarts it
+  useFrame(() => {
+    const { LOCK_ACQUIRE_TIME } = COMBAT_CONFIG.TARGETING;
+    const now = Date.now();
+    const id = lockCandidate?.id ?? null;
+    
+    if (lockStart.current.id !== id) {
+      lockStart.current = { id, time: now };
     }
-  }, [sortedEnemies, targetIndex, autoLockEnabled]);
+    
+    const progress = id === null ? 0
+      : LOCK_ACQUIRE_TIME > 0 ? Math.min(1, (now - lockStart.current.time) / LOCK_ACQUIRE_TIME)
+      : 1;
+    
+    if (lock.id !== id || lock.progress !== progress) {
+      setLock({ id, progress });
+    }
+  });
+  
+  const lockProgress = lockCandidate && lock.id === lockCandidate.id ? lock.progress : 0;
+  const currentTarget = lockProgress >= 1 ? lockCandidate : null;
   
-  // Cycle to next target
-  const cycleTargetNext = useCallback(() => {
+  // Step through the candidates from the current target (1 = next, -1 = previous)
+  const cycleTarget = useCallback((step) => {
     const now = Date.now();
     if (now - lastCycleTime.current < COMBAT_CONFIG.TARGETING.TARGET_CYCLE_COOLDOWN) return;
     lastCycleTime.current = now;
     
-    if (sortedEnemies.length > 0) {
-      setTargetIndex(prev => (prev + 1) % sortedEnemies.length);
-    }
-  }, [sortedEnemies.length]);
+    const count = sortedEnemies.length;
+    if (count === 0) return;
+    
+    const index = sortedEnemies.findIndex(e => e.id === targetId);
+    const next = index === -1 ? (step > 0 ? 0 : count - 1) : (index + step + count) % count;
+    holdEmpty.current = false;
+    setTargetId(sortedEnemies[next].id);
+  }, [sortedEnemies, targetId]);
+  
+  const cycleTargetNext = useCallback(() => cycleTarget(1), [cycleTarget]);
+  const cycleTargetPrev = useCallback(() => cycleTarget(-1), [cycleTarget]);
   
-  // Cycle to previous target
-  const cycleTargetPrev = useCallback(() => {
+  // Step through the target's lockable parts; the whole enemy sits between
+  // the last part and the first
+  const cyclePart = useCallback((step) => {
     const now = Date.now();
     if (now - lastCycleTime.current < COMBAT_CONFIG.TARGETING.TARGET_CYCLE_COOLDOWN) return;
     lastCycleTime.current = now;
     
-    if (sortedEnemies.length > 0) {
-      setTargetIndex(prev => (prev - 1 + sortedEnemies.length) % sortedEnemies.length);
-    }
-  }, [sortedEnemies.length]);
+    const ids = [null, ...getLockableParts(targetEnemy).map(part => part.id)];
+    if (ids.length === 1) return;
+    
+    const index = Math.max(0, ids.indexOf(partId));
+    setPartId(ids[(index + step + ids.length) % ids.length]);
+  }, [targetEnemy, partId]);
   
-  // Lock multiple targets for missiles
+  const cyclePartNext = useCallback(() => cyclePart(1), [cyclePart]);
+  const cyclePartPrev = useCallback(() => cyclePart(-1), [cyclePart]);
+  
+  // Lock multiple targets for missiles (only those held in the cone long enough)
   const lockMultipleTargets = useCallback((maxTargets = COMBAT_CONFIG.TARGETING.MAX_MISSILE_TARGETS) => {
-    const targets = sortedEnemies.slice(0, maxTargets);
+    const now = Date.now();
+    const targets = sortedEnemies
+      .filter(enemy => now - (inConeSince.current[enemy.id] ?? now) >= COMBAT_CONFIG.TARGETING.LOCK_ACQUIRE_TIME)
+      .slice(0, maxTargets);
     setLockedTargets(targets);
     return targets;
   }, [sortedEnemies]);
   
-  // Lock ALL targets (for multi-lock passive)
+  // Painted missile locks ({ id, count }) on enemies that are still alive
+  const livePaintedLocks = useCallback((locks) => locks.filter(lock => (
+    enemies.some(e => e?.id === lock.id && !(e.health <= 0))
+  )), [enemies]);
+  
+  const paintedLocks = useMemo(() => livePaintedLocks(painted).map(lock => ({
+    target: enemies.find(e => e?.id === lock.id),
+    count: lock.count,
+  })), [livePaintedLocks, painted, enemies]);
+  
+  const paintedLockCount = paintedLocks.reduce((sum, lock) => sum + lock.count, 0);
+  
+  // Paint one more lock on a candidate held in the cone for LOCK_ACQUIRE_TIME.
+  // Fresh targets come before doubling up; ties go to the best score. Returns
+  // { target, targetLocks, totalLocks }, or null at maxLocks or with nothing to paint.
+  const paintLock = useCallback((maxLocks = COMBAT_CONFIG.TARGETING.MAX_MISSILE_TARGETS) => {
+    const locks = livePaintedLocks(paintedRef.current);
+    const total = locks.reduce((sum, lock) => sum + lock.count, 0);
+    if (total >= maxLocks) return null;
+    
+    const now = Date.now();
+    const ready = sortedEnemies.filter(enemy => (
+      now - (inConeSince.current[enemy.id] ?? now) >= COMBAT_CONFIG.TARGETING.LOCK_ACQUIRE_TIME
+    ));
+    if (ready.length === 0) return null;
+    
+    const countOf = (id) => locks.find(lock => lock.id === id)?.count ?? 0;
+    const target = ready.reduce((best, enemy) => (countOf(enemy.id) < countOf(best.id) ? enemy : best));
+    const targetLocks = countOf(target.id) + 1;
+    
+    paintedRef.current = targetLocks > 1
+      ? locks.map(lock => (lock.id === target.id ? { ...lock, count: targetLocks } : lock))
+      : [...locks, { id: target.id, count: 1 }];
+    setPainted(paintedRef.current);
+    
+    return { target, targetLocks, totalLocks: total + 1 };
+  }, [livePaintedLocks, sortedEnemies]);
+  
+  // One target per painted lock, for the salvo; clears the paint
+  const releasePaintedLocks = useCallback(() => {
+    const targets = [];
+    livePaintedLocks(paintedRef.current).forEach(lock => {
+      const target = enemies.find(e => e?.id === lock.id);
+      for (let i = 0; i < lock.count; i++) targets.push(target);
+    });
+    
+    paintedRef.current = [];
+    setPainted([]);
+    return targets;
+  }, [livePaintedLocks, enemies]);
+  
+  const clearPaintedLocks = useCallback(() => {
+    paintedRef.current = [];
+    setPainted([]);
+  }, []);
+  
+  // Lock ALL targets in range, cone or not (for multi-lock passive)
   const lockAllTargets = useCallback(() => {
-    setLockedTargets(sortedEnemies);
-    return sortedEnemies;
-  }, [sortedEnemies]);
+    setLockedTargets(inRangeEnemies);
+    return inRangeEnemies;
+  }, [inRangeEnemies]);
   
   // Clear all locks
   const clearLocks = useCallback(() => {
     setLockedTargets([]);
-    setTargetIndex(0);
-  }, []);
+    clearPaintedLocks();
+    holdEmpty.current = false;
+    setTargetId(null);
+  }, [clearPaintedLocks]);
   
   return {
     currentTarget,
+    lockCandidate,
+    lockProgress,
+    isLocked: !!currentTarget,
     lockedTargets,
     availableTargets: sortedEnemies,
     cycleTargetNext,
     cycleTargetPrev,
+    cyclePartNext,
+    cyclePartPrev,
+    targetPartId: lockCandidate?.partId ?? null,
     lockMultipleTargets,
     lockAllTargets,
+    paintedLocks,
+    paintedLockCount,
+    paintLock,
+    releasePaintedLocks,
+    clearPaintedLocks,
     clearLocks,
     targetCount: sortedEnemies.length,
   };
 }
 
 // ============================================================================
-// PROJECTILE COMPONENT - GUN TYPE
+// GLOW HALO (additive stand-in for an effect's point light)
 // ============================================================================
-function GunProjectile({ 
-  id, 
-  position, 
-  direction, 
-  config, 
-  onExpire, 
-  onHit, 
-  enemies = [],
-  chainedFrom = null,
-  onGravityAttach,
-}) {
+// Short-lived effects glow through this rather than mounting a light: a
+// changing light count forces every material to recompile (see
+// InstancedProjectiles).
+function GlowHalo({ haloRef, position, color, radius, opacity = COMBAT_CONFIG.PERFORMANCE.GLOW_OPACITY }) {
+  return (
+    <mesh ref={haloRef} position={position} scale={radius}>
+      <sphereGeometry args={[1, 12, 12]} />
+      <meshBasicMaterial color={color} transparent opacity={opacity} blending={AdditiveBlending} depthWrite={false} />
+    </mesh>
+  );
+}
+
+// ============================================================================
+// CHAIN LIGHTNING ARC COMPONENT
+// ============================================================================
+function ChainLightningArc({ id, from, to, color, onExpire }) {
   const ref = useRef();
+  const haloRef = useRef();
   const startTime = useRef(Date.now());
-  const hasHit = useRef(false);
-  const currentPos = useRef(position.clone());
+  const points = useMemo(() => buildLightningPoints(from, to), [from, to]);
   
-  useFrame((_, delta) => {
-    if (!ref.current || hasHit.current) return;
-    
-    const now = Date.now();
-    const elapsed = now - startTime.current;
-    
-    // Move projectile
-    const movement = direction.clone().multiplyScalar(config.projectileSpeed * delta);
-    ref.current.position.add(movement);
-    currentPos.current.copy(ref.current.position);
+  useFrame(() => {
+    const elapsed = Date.now() - startTime.current;
+    const progress = elapsed / COMBAT_CONFIG.EFFECTS.CHAIN_LIGHTNING_DURATION;
     
-    // Check for hits
-    enemies.forEach(enemy => {
-      if (!enemy || !enemy.position || enemy.health <= 0) return;
-      if (chainedFrom && chainedFrom.includes(enemy.id)) return;
-      if (hasHit.current) return;
-      
-      const dist = currentPos.current.distanceTo(enemy.position);
-      const hitRadius = config.explosionRadius || 1.5;
-      
-      if (dist < hitRadius) {
-        hasHit.current = true;
-        
-        // Gravity weapon - attach to enemy
-        if (config.gravityRadius) {
-          onGravityAttach?.(enemy, config);
-        } else {
-          onHit?.(id, enemy.id, config.damage, {
-            isExplosive: !!config.explosionRadius,
-            explosionRadius: config.explosionRadius,
-          });
-        }
-        
-        onExpire(id);
-      }
-    });
+    if (ref.current) {
+      ref.current.material.opacity = Math.max(0, 1 - progress);
+    }
+    if (haloRef.current) {
+      haloRef.current.material.opacity = COMBAT_CONFIG.PERFORMANCE.GLOW_OPACITY * Math.max(0, 1 - progress);
+    }
     
-    // Expire after lifetime
-    if (elapsed > config.projectileLifetime) {
+    if (progress >= 1) {
       onExpire(id);
     }
   });
   
-  const scale = config.explosionRadius ? 0.3 : config.gravityRadius ? 0.25 : 0.15;
+  return (
+    <group>
+      <Line ref={ref} points={points} color={color} lineWidth={2.5} transparent opacity={1} />
+      <GlowHalo haloRef={haloRef} position={to} color={color} radius={1.2} />
+    </group>
+  );
+}
+
+// ============================================================================
+// CHARGED SHOT COMPONENT (homing, explodes on contact or timeout)
+// ============================================================================
+function ChargedShot({ entity }) {
+  const ref = useRef();
+  const { config } = entity;
+  
+  useFrame(() => {
+    ref.current?.position.copy(entity.position);
+  });
   
   return (
-    <mesh ref={ref} position={position}>
-      <sphereGeometry args={[scale, 8, 8]} />
-      <meshBasicMaterial color={config.color} />
-      <pointLight color={config.color} intensity={2} distance={5} />
-    </mesh>
+    <group ref={ref} position={entity.position}>
+      <mesh>
+        <sphereGeometry args={[config.projectileScale, 16, 16]} />
+        <meshBasicMaterial color={config.color} />
+      </mesh>
+      <mesh scale={1.6}>
+        <sphereGeometry args={[config.projectileScale, 16, 16]} />
+        <meshBasicMaterial color={config.color} transparent opacity={0.3} />
+      </mesh>
+      <GlowHalo color={config.color} radius={config.projectileScale * COMBAT_CONFIG.PERFORMANCE.GLOW_SCALE} />
+    </group>
   );
 }
 
 // ============================================================================
-// MULTI-LOCK PROJECTILE COMPONENT (fires at all locked targets)
+// CHARGE GLOW COMPONENT (muzzle glow while charging)
 // ============================================================================
-function MultiLockProjectile({
-  id,
-  position,
-  target,
-  config,
-  onExpire,
-  onHit,
-}) {
+function ChargeGlow({ position, charge, maxLevel, color }) {
   const ref = useRef();
-  const startTime = useRef(Date.now());
-  const hasHit = useRef(false);
+  const pulsePhase = useRef(0);
   
   useFrame((_, delta) => {
-    if (!ref.current || hasHit.current || !target?.position) return;
-    
-    const now = Date.now();
-    const elapsed = now - startTime.current;
-    
-    // Home toward target
-    const toTarget = target.position.clone().sub(ref.current.position).normalize();
-    const movement = toTarget.multiplyScalar(config.projectileSpeed * 1.2 * delta);
-    ref.current.position.add(movement);
-    
-    // Check hit
-    const dist = ref.current.position.distanceTo(target.position);
-    if (dist < 2) {
-      hasHit.current = true;
-      onHit?.(id, target.id, config.damage, { isMultiLock: true });
-      onExpire(id);
-    }
-    
-    // Expire after lifetime
-    if (elapsed > config.projectileLifetime) {
-      onExpire(id);
-    }
+    if (!ref.current) return;
+    pulsePhase.current += delta * (6 + charge * 4);
+    
+    const level = Math.floor(charge);
+    const pulse = 1 + Math.sin(pulsePhase.current) * 0.15;
+    ref.current.scale.setScalar((0.2 + (charge / maxLevel) * 0.6) * pulse);
+    ref.current.material.opacity = level > 0 ? 0.9 : 0.5;
   });
   
   return (
-    <mesh ref={ref} position={position}>
-      <sphereGeometry args={[0.2, 8, 8]} />
-      <meshBasicMaterial color="#ffaa00" />
-      <pointLight color="#ffaa00" intensity={2} distance={4} />
-    </mesh>
+    <group position={position}>
+      <mesh ref={ref}>
+        <sphereGeometry args={[1, 16, 16]} />
+        <meshBasicMaterial color={color} transparent opacity={0.5} />
+      </mesh>
+      <GlowHalo color={color} radius={0.6 + charge * 0.3} />
+    </group>
   );
 }
 
 // ============================================================================
 // BEAM WEAPON COMPONENT
 // ============================================================================
+const BEAM_AXIS = new Vector3(0, 1, 0);
+const beamMidpoint = new Vector3();
+
+// target may be a vector the caller moves in place; the beam is laid out each
+// frame, so it follows without a re-render
 function BeamWeapon({ 
   origin, 
   target, 
   config, 
   isActive, 
   enemies = [],
-  onHit 
+  broadphase,
+  occlusion,
+  onHit,
+  friendlies = [],
+  onFriendlyHit,
+  rivals = [],
+  onRivalHit,
 }) {
   const beamRef = useRef();
+  const glowRef = useRef();
   const pulsePhase = useRef(0);
   const hitCooldowns = useRef({});
   
@@ -460,43 +911,66 @@ function BeamWeapon({
     const now = Date.now();
     const beamDir = target.clone().sub(origin).normalize();
     
-    enemies.forEach(enemy => {
+    // The beam stops at the first blocking surface
+    const blocked = occlusion?.(origin, origin.clone().addScaledVector(beamDir, config.beamRange)) ?? null;
+    const reach = blocked ?? config.beamRange;
+    
+    // Cut short at the block here, in the frame loop, so occlusion never re-renders
+    const length = Math.min(origin.distanceTo(target), reach);
+    beamMidpoint.copy(origin).addScaledVector(beamDir, length / 2);
+    [beamRef.current, glowRef.current].forEach(mesh => {
+      if (!mesh) return;
+      mesh.position.copy(beamMidpoint);
+      mesh.quaternion.setFromUnitVectors(BEAM_AXIS, beamDir);
+      mesh.scale.set(1, Math.max(length, 0.001), 1);
+    });
+    
+    const beamEnd = origin.clone().addScaledVector(beamDir, reach);
+    const candidates = broadphase ? broadphase.querySegment(origin, beamEnd, config.beamWidth) : enemies;
+    
+    const sweep = (entities, hit) => entities.forEach(enemy => {
       if (!enemy || !enemy.position || enemy.health <= 0) return;
       
       const toEnemy = enemy.position.clone().sub(origin);
       const projection = toEnemy.dot(beamDir);
       
-      if (projection > 0 && projection < config.beamRange) {
+      if (projection > 0 && projection < reach) {
         const closestPoint = origin.clone().add(beamDir.clone().multiplyScalar(projection));
         const distance = enemy.position.distanceTo(closestPoint);
         
         if (distance < config.beamWidth + (enemy.hitRadius || 1)) {
           if (!hitCooldowns.current[enemy.id] || now - hitCooldowns.current[enemy.id] > 100) {
             hitCooldowns.current[enemy.id] = now;
-            onHit?.(null, enemy.id, config.damage * delta * 10, { isBeam: true });
+            hit(null, enemy.id, config.damage * delta * 10, { isBeam: true });
           }
         }
       }
     });
+    
+    sweep(candidates, (...args) => onHit?.(...args));
+    if (onRivalHit) sweep(rivals, onRivalHit);
+    if (onFriendlyHit && (config.friendlyFire ?? COMBAT_CONFIG.IFF.FRIENDLY_FIRE)) {
+      sweep(friendlies, (sourceId, id, damage, options) => onFriendlyHit(sourceId, id, damage * COMBAT_CONFIG.IFF.FRIENDLY_FIRE_MULTIPLIER, {
+        ...options,
+        isFriendlyFire: true,
+        weapon: config.name,
+      }));
+    }
   });
   
   if (!isActive) return null;
   
-  const direction = target.clone().sub(origin);
-  const length = Math.min(direction.length(), config.beamRange);
-  const midpoint = origin.clone().add(direction.normalize().multiplyScalar(length / 2));
-  
   return (
     <group>
-      <mesh ref={beamRef} position={midpoint}>
-        <cylinderGeometry args={[config.beamWidth * 0.3, config.beamWidth * 0.3, length, 8]} />
+      <mesh ref={beamRef}>
+        <cylinderGeometry args={[config.beamWidth * 0.3, config.beamWidth * 0.3, 1, 8]} />
         <meshBasicMaterial color={config.color} transparent opacity={0.9} />
       </mesh>
-      <mesh position={midpoint}>
-        <cylinderGeometry args={[config.beamWidth, config.beamWidth, length, 8]} />
+      <mesh ref={glowRef}>
+        <cylinderGeometry args={[config.beamWidth, config.beamWidth, 1, 8]} />
         <meshBasicMaterial color={config.color} transparent opacity={0.3} />
       </mesh>
-      <pointLight position={origin} color={config.color} intensity={5} distance={10} />
+      <GlowHalo position={origin} color={config.color} radius={config.beamWidth * 1.5} />
     </group>
   );
 }
@@ -504,65 +978,25 @@ function BeamWeapon({
 // ============================================================================
 // GRAVITY WELL COMPONENT (attached to enemy)
 // ============================================================================
-function GravityWell({ 
-  id, 
-  anchorEnemy,
-  config, 
-  onExpire, 
-  onGravityKill,
-  enemies = [],
-}) {
+function GravityWell({ entity }) {
   const ref = useRef();
-  const startTime = useRef(Date.now());
-  const [phase, setPhase] = useState('pull');
   const rotation = useRef(0);
-  const affectedEnemies = useRef(new Set([anchorEnemy?.id]));
+  const { config, phase } = entity;
   
   useFrame((_, delta) => {
-    if (!ref.current || !anchorEnemy?.position) return;
-    
-    const now = Date.now();
-    const elapsed = now - startTime.current;
+    if (!ref.current) return;
     
-    ref.current.position.copy(anchorEnemy.position);
+    ref.current.position.copy(entity.position);
     
     rotation.current += delta * COMBAT_CONFIG.EFFECTS.GRAVITY_WELL_ROTATION;
     ref.current.rotation.z = rotation.current;
-    
-    if (phase === 'pull') {
-      enemies.forEach(enemy => {
-        if (!enemy || !enemy.position || enemy.health <= 0) return;
-        if (enemy.id === anchorEnemy.id) return;
-        
-        const dist = anchorEnemy.position.distanceTo(enemy.position);
-        if (dist < config.gravityRadius && dist > 0.5) {
-          affectedEnemies.current.add(enemy.id);
-          const pullDir = anchorEnemy.position.clone().sub(enemy.position).normalize();
-          const pullStrength = (1 - dist / config.gravityRadius) * config.gravityStrength * delta;
-          
-          onGravityKill?.(enemy.id, pullDir, pullStrength, false, 0);
-        }
-      });
-      
-      if (elapsed > config.collapseDelay) {
-        setPhase('collapse');
-      }
-    } else if (phase === 'collapse') {
-      affectedEnemies.current.forEach(enemyId => {
-        onGravityKill?.(enemyId, null, 0, true, config.damage * 10);
-      });
-      
-      onExpire(id);
-    }
   });
   
-  if (!anchorEnemy?.position) return null;
-  
   const scale = phase === 'collapse' ? 2 : 1;
   const color = phase === 'collapse' ? '#ffffff' : config.color;
   
   return (
-    <group ref={ref} position={anchorEnemy.position} scale={scale}>
+    <group ref={ref} position={entity.position} scale={scale}>
       <mesh>
         <sphereGeometry args={[0.8, 16, 16]} />
         <meshBasicMaterial color={color} />
@@ -573,89 +1007,214 @@ function GravityWell({
           <meshBasicMaterial color={config.color} transparent opacity={0.6 / i} />
         </mesh>
       ))}
-      <pointLight color={config.color} intensity={5} distance={config.gravityRadius} />
+      <GlowHalo color={config.color} radius={2} />
     </group>
   );
 }
 
 // ============================================================================
-// MISSILE COMPONENT
+// INSTANCED PROJECTILE RENDERER (one InstancedMesh per weapon type)
 // ============================================================================
-function Missile({ 
-  id, 
-  position, 
-  target, 
-  config, 
-  onExpire, 
-  onHit,
-}) {
-  const ref = useRef();
-  const startTime = useRef(Date.now());
-  const velocity = useRef(new Vector3(0, 0, -1).multiplyScalar(config.missileSpeed * 0.5));
-  const currentPos = useRef(position.clone());
+// Draws every gun shot, multi-lock shot and missile in the simulation without a
+// component per entity. Entities are batched by look; a batch mounts the first
+// time its look shows up and stays mounted, so firing never re-renders React.
+// Shots glow through camera-facing additive sprites, and only the newest few
+// get one of a fixed pool of point lights (a changing light count would force
+// every material to recompile).
+const instanceMatrix = new Matrix4();
+const instancePosition = new Vector3();
+const instanceQuaternion = new Quaternion();
+const instanceScale = new Vector3();
+const instanceHeading = new Vector3();
+const INSTANCE_UP = new Vector3(0, 1, 0);
+
+const instanceBatchCache = new WeakMap();
+
+function createInstanceBatches(kind, config) {
+  const { MAX_PROJECTILES, MAX_MULTI_LOCK_PROJECTILES, MAX_MISSILES, TRAIL_SEGMENTS } = COMBAT_CONFIG.PERFORMANCE;
+  
+  if (kind === 'missile') {
+    const trailColor = config.trailColor || config.color;
+    return [
+      { key: `missile:${config.color}`, shape: 'cone', color: config.color, size: 0.2, capacity: MAX_MISSILES },
+      { key: `trail:${trailColor}`, shape: 'trail', color: trailColor, size: 0.15, capacity: MAX_MISSILES * TRAIL_SEGMENTS },
+    ];
+  }
   
-  useFrame((_, delta) => {
-    if (!ref.current) return;
-    
-    const now = Date.now();
-    const elapsed = now - startTime.current;
-    
-    if (target && target.position) {
-      const targetPos = target.position.clone();
-      
-      if (target.velocity) {
-        const timeToTarget = currentPos.current.distanceTo(targetPos) / config.missileSpeed;
-        targetPos.add(target.velocity.clone().multiplyScalar(timeToTarget * COMBAT_CONFIG.TARGETING.TARGET_LEAD_FACTOR));
+  if (kind === 'multiLock') {
+    return [{ key: 'multiLock', shape: 'sphere', color: '#ffaa00', size: 0.2, capacity: MAX_MULTI_LOCK_PROJECTILES }];
+  }
+  
+  const size = config.explosionRadius ? 0.3 : config.gravityRadius ? 0.25 : 0.15;
+  return [{ key: `shot:${config.color}:${size}`, shape: 'sphere', color: config.color, size, capacity: MAX_PROJECTILES }];
+}
+
+// Cached per config object so the per-frame loop doesn't rebuild keys
+function getInstanceBatches(kind, config) {
+  let byKind = instanceBatchCache.get(config);
+  if (!byKind) {
+    byKind = {};
+    instanceBatchCache.set(config, byKind);
+  }
+  if (!byKind[kind]) byKind[kind] = createInstanceBatches(kind, config);
+  return byKind[kind];
+}
+
+function InstanceBatch({ batch, register }) {
+  const { GLOW_SCALE, GLOW_OPACITY } = COMBAT_CONFIG.PERFORMANCE;
+  const args = [undefined, undefined, batch.capacity];
+  
+  return (
+    <>
+      <instancedMesh ref={mesh => register(batch.key, 'body', mesh)} args={args} frustumCulled={false}>
+        {batch.shape === 'cone'
+          ? <coneGeometry args={[batch.size, batch.size * 4, 6]} />
+          : <sphereGeometry args={[batch.size, 8, 8]} />}
+        {batch.shape === 'trail'
+          ? <meshBasicMaterial color={batch.color} transparent opacity={0.6} blending={AdditiveBlending} depthWrite={false} />
+          : <meshBasicMaterial color={batch.color} />}
+      </instancedMesh>
+      {batch.shape === 'sphere' && (
+        <instancedMesh ref={mesh => register(batch.key, 'glow', mesh)} args={args} frustumCulled={false}>
+          <circleGeometry args={[batch.size * GLOW_SCALE, 12]} />
+          <meshBasicMaterial
+            color={batch.color}
+            transparent
+            opacity={GLOW_OPACITY}
+            blending={AdditiveBlending}
+            depthWrite={false}
+          />
+        </instancedMesh>
+      )}
+    </>
+  );
+}
+
+function InstancedProjectiles({ simulation }) {
+  const [batches, setBatches] = useState([]);
+  const meshes = useRef({});
+  const counts = useRef({});
+  const pending = useRef(new Set());
+  const lights = useRef([]);
+  const maxLights = COMBAT_CONFIG.PERFORMANCE.MAX_PROJECTILE_LIGHTS;
+  
+  const register = useCallback((key, part, mesh) => {
+    if (!meshes.current[key]) meshes.current[key] = {};
+    meshes.current[key][part] = mesh;
+    if (mesh) mesh.count = 0;
+  }, []);
+  
+  useFrame(({ camera }) => {
+    const { TRAIL_SEGMENTS, TRAIL_SPACING } = COMBAT_CONFIG.PERFORMANCE;
+    const tally = counts.current;
+    Object.keys(tally).forEach(key => { tally[key] = 0; });
+    let discovered = null;
+    
+    // Writes the current instance transform into the next slot of a batch
+    const place = (batch) => {
+      const parts = meshes.current[batch.key];
+      if (!parts?.body) {
+        if (!pending.current.has(batch.key)) {
+          pending.current.add(batch.key);
+          (discovered || (discovered = [])).push(batch);
+        }
+        return;
       }
       
-      const toTarget = targetPos.sub(currentPos.current).normalize();
-      const currentDir = velocity.current.clone().normalize();
+      const index = tally[batch.key] || 0;
+      if (index >= batch.capacity) return;
       
-      const newDir = currentDir.lerp(toTarget, config.turnRate * delta);
-      velocity.current = newDir.multiplyScalar(config.missileSpeed);
-    }
+      instanceMatrix.compose(instancePosition, instanceQuaternion, instanceScale);
+      parts.body.setMatrixAt(index, instanceMatrix);
+      if (parts.glow) {
+        instanceMatrix.compose(instancePosition, camera.quaternion, instanceScale);
+        parts.glow.setMatrixAt(index, instanceMatrix);
+      }
+      tally[batch.key] = index + 1;
+    };
     
-    const movement = velocity.current.clone().multiplyScalar(delta);
-    ref.current.position.add(movement);
-    currentPos.current.copy(ref.current.position);
+    instanceQuaternion.identity();
+    instanceScale.setScalar(1);
     
-    if (velocity.current.length() > 0) {
-      ref.current.lookAt(currentPos.current.clone().add(velocity.current));
-    }
+    simulation.projectiles.forEach(projectile => {
+      instancePosition.copy(projectile.position);
+      place(getInstanceBatches('shot', projectile.config)[0]);
+    });
+    
+    simulation.multiLockProjectiles.forEach(projectile => {
+      instancePosition.copy(projectile.position);
+      place(getInstanceBatches('multiLock', projectile.config)[0]);
+    });
     
-    if (target && target.position) {
-      const dist = currentPos.current.distanceTo(target.position);
-      const hitRadius = target.hitRadius || 2;
+    simulation.missiles.forEach(missile => {
+      const [body, trail] = getInstanceBatches('missile', missile.config);
       
-      if (config.bossOnly && !target.isBoss) {
-        // Intentionally miss
-      } else if (dist < hitRadius) {
-        onHit?.(id, target.id, config.damage, { 
-          isMissile: true,
-          penetrating: config.penetrating 
-        });
-        onExpire(id);
-        return;
+      instanceHeading.copy(missile.velocity).normalize();
+      if (instanceHeading.lengthSq() === 0) instanceHeading.set(0, 0, -1);
+      
+      instancePosition.copy(missile.position);
+      instanceQuaternion.setFromUnitVectors(INSTANCE_UP, instanceHeading);
+      instanceScale.setScalar(1);
+      place(body);
+      
+      instanceQuaternion.identity();
+      for (let i = 0; i < TRAIL_SEGMENTS; i++) {
+        instancePosition.copy(missile.position).addScaledVector(instanceHeading, -(0.5 + i * TRAIL_SPACING));
+        instanceScale.setScalar(1 - i / TRAIL_SEGMENTS);
+        place(trail);
       }
+      instanceScale.setScalar(1);
+    });
+    
+    Object.entries(meshes.current).forEach(([key, parts]) => {
+      [parts.body, parts.glow].forEach(mesh => {
+        if (!mesh) return;
+        mesh.count = tally[key] || 0;
+        mesh.instanceMatrix.needsUpdate = true;
+      });
+    });
+    
+    // Missiles first (fewer, longer-lived), then the newest shots
+    let used = 0;
+    const light = (position, color) => {
+      const pointLight = lights.current[used++];
+      if (!pointLight) return;
+      pointLight.position.copy(position);
+      pointLight.color.set(color);
+      pointLight.intensity = 2;
+    };
+    for (let i = simulation.missiles.length - 1; i >= 0 && used < maxLights; i--) {
+      const { position, config } = simulation.missiles[i];
+      light(position, config.trailColor || config.color);
+    }
+    for (let i = simulation.projectiles.length - 1; i >= 0 && used < maxLights; i--) {
+      const { position, config } = simulation.projectiles[i];
+      light(position, config.color);
+    }
+    for (; used < maxLights; used++) {
+      if (lights.current[used]) lights.current[used].intensity = 0;
     }
     
-    if (elapsed > config.lifetime) {
-      onExpire(id);
+    if (discovered) {
+      const added = discovered;
+      setBatches(prev => [...prev, ...added]);
     }
   });
   
   return (
-    <group ref={ref} position={position}>
-      <mesh rotation={[Math.PI / 2, 0, 0]}>
-        <coneGeometry args={[0.2, 0.8, 6]} />
-        <meshBasicMaterial color={config.color} />
-      </mesh>
-      <mesh position={[0, 0, 0.5]}>
-        <sphereGeometry args={[0.15, 8, 8]} />
-        <meshBasicMaterial color={config.trailColor || config.color} />
-      </mesh>
-      <pointLight color={config.trailColor || config.color} intensity={2} distance={3} />
-    </group>
+    <>
+      {batches.map(batch => (
+        <InstanceBatch key={batch.key} batch={batch} register={register} />
+      ))}
+      {Array.from({ length: maxLights }, (_, i) => (
+        <pointLight
+          key={i}
+          ref={pointLight => { lights.current[i] = pointLight; }}
+          intensity={0}
+          distance={5}
+        />
+      ))}
+    </>
   );
 }
 
@@ -712,60 +1271,27 @@ function ThorTargetingLaser({ origin, targets, config, isActive }) {
 // ============================================================================
 // THOR ROD STRIKE COMPONENT (Instant Impact)
 // ============================================================================
-function ThorRodStrike({ 
-  id, 
-  target,
-  config, 
-  onExpire, 
-  onHit,
-}) {
-  const [phase, setPhase] = useState('impact');
-  const startTime = useRef(Date.now());
-  const impactPos = useRef(target?.position?.clone() || new Vector3());
-  const hasHit = useRef(false);
-  
-  useFrame((_, delta) => {
-    const now = Date.now();
-    const elapsed = now - startTime.current;
-    
-    if (phase === 'impact' && !hasHit.current) {
-      hasHit.current = true;
-      
-      if (target && target.position) {
-        onHit?.(id, target.id, config.damage, { 
-          isThorStrike: true, 
-          pushDown: true,
-          downForce: config.rodDownForce,
-        });
-      }
-      setPhase('pushing');
-    } else if (phase === 'pushing') {
-      if (elapsed > 800) {
-        setPhase('explode');
-      }
-    } else if (phase === 'explode') {
-      onExpire(id);
-    }
-  });
+function ThorRodStrike({ entity }) {
+  const { config, target, phase, impactPosition } = entity;
   
   if (!target?.position) return null;
   
   return (
     <group>
-      <mesh position={[impactPos.current.x, impactPos.current.y + 50, impactPos.current.z]}>
+      <mesh position={[impactPosition.x, impactPosition.y + 50, impactPosition.z]}>
         <cylinderGeometry args={[0.3, 0.1, 100, 8]} />
         <meshBasicMaterial color={config.rodColor} transparent opacity={phase === 'pushing' ? 0.9 : 0.3} />
       </mesh>
       
       <pointLight 
-        position={impactPos.current} 
+        position={impactPosition} 
         color={config.rodColor} 
         intensity={phase === 'pushing' ? 50 : 10} 
         distance={config.rodDamageRadius * 3} 
       />
       
       <mesh 
-        position={[impactPos.current.x, -4.9, impactPos.current.z]} 
+        position={[impactPosition.x, -4.9, impactPosition.z]} 
         rotation={[-Math.PI / 2, 0, 0]}
       >
         <ringGeometry args={[0, config.rodDamageRadius, 32]} />
@@ -778,37 +1304,188 @@ function ThorRodStrike({
 // ============================================================================
 // SMARTBOMB EFFECT COMPONENT
 // ============================================================================
-function SmartbombEffect({ onComplete, enemies = [], onHit, config }) {
-  const [scale, setScale] = useState(0);
-  const startTime = useRef(Date.now());
-  const hasDetonated = useRef(false);
+function SmartbombEffect({ entity }) {
+  const ref = useRef();
   
   useFrame(() => {
-    const elapsed = Date.now() - startTime.current;
-    const progress = Math.min(elapsed / config.effectDuration, 1);
+    if (!ref.current) return;
     
-    setScale(progress * 200);
+    const scale = entity.progress * 200;
+    ref.current.scale.setScalar(Math.max(scale, 0.001));
+    ref.current.material.opacity = 1 - scale / 200;
+  });
+  
+  return (
+    <mesh ref={ref} scale={0.001}>
+      <sphereGeometry args={[1, 32, 32]} />
+      <meshBasicMaterial color="#ffffff" transparent opacity={1} />
+    </mesh>
+  );
+}
+
+// ============================================================================
+// FLARE COMPONENT (enemy decoy, fades as it burns out)
+// ============================================================================
+function Flare({ entity }) {
+  const ref = useRef();
+  const haloRef = useRef();
+  const { FLARE_COLOR } = COMBAT_CONFIG.COUNTERMEASURES;
+  
+  useFrame(() => {
+    if (!ref.current) return;
     
-    if (!hasDetonated.current && progress > 0.5) {
-      hasDetonated.current = true;
-      enemies.forEach(enemy => {
-        if (!enemy || enemy.health <= 0) return;
-        if (config.bossImmune && enemy.isBoss) return;
-        
-        onHit?.(null, enemy.id, config.damage, { isSmartbomb: true });
-      });
+    ref.current.position.copy(entity.position);
+    ref.current.children[0].material.opacity = 1 - entity.progress;
+    if (haloRef.current) {
+      haloRef.current.material.opacity = COMBAT_CONFIG.PERFORMANCE.GLOW_OPACITY * (1 - entity.progress);
     }
+  });
+  
+  return (
+    <group ref={ref} position={entity.position}>
+      <mesh>
+        <sphereGeometry args={[0.4, 8, 8]} />
+        <meshBasicMaterial color={FLARE_COLOR} transparent opacity={1} />
+      </mesh>
+      <GlowHalo haloRef={haloRef} color={FLARE_COLOR} radius={1.5} />
+    </group>
+  );
+}
+
+// ============================================================================
+// HOSTILE BEAM COMPONENT (enemy beam that slews toward the player)
+// ============================================================================
+function HostileBeam({ origin, playerEntity, config, onHit }) {
+  const aimPoint = useRef(null);
+  if (!aimPoint.current) aimPoint.current = playerEntity.position.clone();
+  
+  // Moved in place; BeamWeapon reads it in its own frame loop
+  useFrame((_, delta) => {
+    const rate = Math.min(1, COMBAT_CONFIG.ENEMY_FIRE.BEAM_TRACK_RATE * delta);
+    aimPoint.current.lerp(playerEntity.position, rate);
+  });
+  
+  return (
+    <BeamWeapon
+      origin={origin}
+      target={aimPoint.current}
+      config={config}
+      isActive={true}
+      enemies={[playerEntity]}
+      onHit={onHit}
+    />
+  );
+}
+
+// ============================================================================
+// ENEMY ARSENAL COMPONENT (enemies firing COMBAT_CONFIG weapons at the player)
+// ============================================================================
+function EnemyArsenal({ 
+  enemies = [], 
+  enemyWeapons = {}, 
+  playerPosition, 
+  simulation,
+  combatantId = PLAYER_TARGET_ID,
+}) {
+  const [beams, setBeams] = useState({});
+  const lastFireTimes = useRef({});
+  
+  const playerEntity = useMemo(() => playerPosition ? {
+    id: combatantId,
+    position: playerPosition,
+    health: 1,
+    hitRadius: COMBAT_CONFIG.PLAYER.HIT_RADIUS,
+    isCombatant: true,
+  } : null, [playerPosition, combatantId]);
+  
+  // Resolved once per enemyWeapons change rather than per enemy per frame
+  const assignments = useMemo(() => {
+    const resolved = {};
+    Object.entries(enemyWeapons).forEach(([enemyId, entry]) => {
+      resolved[enemyId] = resolveEnemyWeapon(entry);
+    });
+    return resolved;
+  }, [enemyWeapons]);
+  
+  // Shots are spawned into the simulation as hostile entities; it resolves hits
+  // against the player and CombatSystem renders them with the player's own fire
+  useFrame(() => {
+    if (!playerEntity || !simulation) return;
     
-    if (progress >= 1) {
-      onComplete?.();
+    const now = simulation.time;
+    const activeBeams = {};
+    
+    enemies.forEach(enemy => {
+      if (!enemy || !enemy.position || enemy.health <= 0) return;
+      
+      const assignment = assignments[enemy.id];
+      if (!assignment || !assignment.firing) return;
+      if (enemy.position.distanceTo(playerPosition) > assignment.range) return;
+      
+      const config = assignment.config;
+      
+      if (getWeaponBehavior(config)?.continuous) {
+        activeBeams[enemy.id] = beams[enemy.id] || config;
+        return;
+      }
+      
+      if (lastFireTimes.current[enemy.id] !== undefined && 
+          now - lastFireTimes.current[enemy.id] < config.fireRate) return;
+      lastFireTimes.current[enemy.id] = now;
+      
+      const aimDir = playerPosition.clone().sub(enemy.position).normalize();
+      const hostile = { hostile: true, sourceId: enemy.id };
+      
+      if (config.type === 'missile') {
+        simulation.spawnMissile(config, playerEntity, { ...hostile, position: enemy.position, direction: aimDir });
+        return;
+      }
+      
+      for (let i = 0; i < config.projectilesPerShot; i++) {
+        const dir = aimDir.clone();
+        
+        if (config.spread > 0) {
+          dir.x += (Math.random() - 0.5) * config.spread;
+          dir.y += (Math.random() - 0.5) * config.spread;
+          dir.normalize();
+        }
+        
+        simulation.spawnProjectile(config, dir, { ...hostile, position: enemy.position });
+      }
+    });
+    
+    const beamIds = Object.keys(activeBeams);
+    if (beamIds.length !== Object.keys(beams).length || beamIds.some(id => !beams[id])) {
+      setBeams(activeBeams);
     }
   });
   
+  // Beam hits land through the simulation like the rest of the enemy fire, so
+  // they reach the player's onPlayerHit and the network as HIT events
+  const handleBeamHit = useCallback((sourceId, config, damage, options = {}) => {
+    const source = { ownerId: sourceId, team: COMBAT_CONFIG.TEAMS.ENEMY_TEAM, config };
+    simulation?.hitCombatant(source, combatantId, damage, options);
+  }, [simulation, combatantId]);
+  
+  if (!playerEntity) return null;
+  
   return (
-    <mesh scale={scale}>
-      <sphereGeometry args={[1, 32, 32]} />
-      <meshBasicMaterial color="#ffffff" transparent opacity={1 - scale / 200} />
-    </mesh>
+    <group>
+      {Object.entries(beams).map(([sourceId, config]) => {
+        const source = enemies.find(e => String(e?.id) === sourceId);
+        if (!source?.position) return null;
+        
+        return (
+          <HostileBeam
+            key={sourceId}
+            origin={source.position}
+            playerEntity={playerEntity}
+            config={config}
+            onHit={(_, __, damage, options) => handleBeamHit(source.id, config, damage, options)}
+          />
+        );
+      })}
+    </group>
   );
 }
 
@@ -852,7 +1529,9 @@ function ActiveArmorExplosion({ position, onComplete }) {
 // ============================================================================
 // LOCK-ON INDICATOR COMPONENT
 // ============================================================================
-function LockOnIndicator({ target, isLocked, isPrimary, isMultiLockActive }) {
+// While a lock is still being acquired the reticle closes in from twice its size.
+// Painted missile locks add one outer ring per lock.
+function LockOnIndicator({ target, isLocked, isPrimary, isMultiLockActive, progress = 1, lockCount = 0, isFriendly = false }) {
   const ref = useRef();
   
   useFrame((_, delta) => {
@@ -863,26 +1542,202 @@ function LockOnIndicator({ target, isLocked, isPrimary, isMultiLockActive }) {
   
   if (!target || !target.position) return null;
   
-  const color = isMultiLockActive ? '#ffaa00' : isPrimary ? '#ff0000' : isLocked ? '#ff8800' : '#ffff00';
-  const size = isPrimary ? 3 : 2;
+  // Friendlies get a static round marker, so they never read as a lock
+  if (isFriendly) {
+    const size = COMBAT_CONFIG.TARGETING.LOCKON_INDICATOR_SIZE;
+    
+    return (
+      <group position={target.position}>
+        <mesh>
+          <ringGeometry args={[size * 0.85, size, 24]} />
+          <meshBasicMaterial color={COMBAT_CONFIG.IFF.MARKER_COLOR} transparent opacity={0.7} side={2} />
+        </mesh>
+        <mesh position={[0, size * 1.4, 0]} rotation={[0, 0, Math.PI]}>
+          <circleGeometry args={[size * 0.3, 3]} />
+          <meshBasicMaterial color={COMBAT_CONFIG.IFF.MARKER_COLOR} transparent opacity={0.9} side={2} />
+        </mesh>
+      </group>
+    );
+  }
+  
+  const color = isMultiLockActive ? '#ffaa00' : isPrimary ? '#ff0000' : isLocked ? '#ff8800' : '#ffff00';
+  const size = isPrimary ? 3 : 2;
+  const scale = isLocked ? 1 : 2 - progress;
+  
+  return (
+    <group position={target.position} ref={ref} scale={scale}>
+      <mesh>
+        <ringGeometry args={[size * 0.8, size, 4]} />
+        <meshBasicMaterial color={color} transparent opacity={0.8} side={2} />
+      </mesh>
+      <mesh rotation={[0, 0, Math.PI / 4]}>
+        <ringGeometry args={[size * 0.5, size * 0.65, 4]} />
+        <meshBasicMaterial color={color} transparent opacity={0.6} side={2} />
+      </mesh>
+      {isMultiLockActive && (
+        <mesh rotation={[0, 0, Math.PI / 8]}>
+          <ringGeometry args={[size * 1.1, size * 1.2, 8]} />
+          <meshBasicMaterial color={color} transparent opacity={0.4} side={2} />
+        </mesh>
+      )}
+      {Array.from({ length: lockCount }, (_, i) => (
+        <mesh key={i} rotation={[0, 0, (i * Math.PI) / 8]}>
+          <ringGeometry args={[size * (1.1 + i * 0.25), size * (1.2 + i * 0.25), 4]} />
+          <meshBasicMaterial color="#ff4400" transparent opacity={0.7} side={2} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+// ============================================================================
+// INVENTORY HUD COMPONENTS
+// ============================================================================
+function formatInventoryEntry(entry, weapon) {
+  if (entry.timer) return `${(entry.timer / 1000).toFixed(1)}s`;
+  if (entry.ammo !== null && !weapon?.unlimited) return `×${entry.ammo}`;
+  return '∞';
+}
+
+function WeaponLevelBadge({ weapon }) {
+  const maxLevel = getMaxWeaponLevel(weapon);
+  if (maxLevel <= 1) return null;
+  
+  const level = weapon.level || 1;
+  
+  return (
+    <span style={{ fontSize: 10, marginLeft: 6, opacity: 0.85 }}>
+      Lv{level} {'▮'.repeat(level)}{'▯'.repeat(maxLevel - level)}
+      {weapon.label && <span style={{ marginLeft: 4 }}>{weapon.label}</span>}
+    </span>
+  );
+}
+
+function InventoryChips({ entries = [], equippedKey, table, levels = {} }) {
+  const others = entries.filter(e => e.key !== equippedKey);
+  if (others.length === 0) return null;
+  
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginTop: 4 }}>
+      {others.map(entry => {
+        const weapon = table[entry.key];
+        
+        return (
+          <span key={entry.key} style={{
+            fontSize: 9,
+            padding: '1px 4px',
+            border: `1px solid ${weapon?.color || '#446644'}`,
+            borderRadius: '2px',
+            color: weapon?.color || '#00ff88',
+            opacity: 0.7,
+          }}>
+            {weapon?.name || entry.key}{levels[entry.key] > 1 && ` L${levels[entry.key]}`} {formatInventoryEntry(entry, weapon)}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+function WeaponWheel({ items, selection, equippedGunKey, equippedMissileKey, onHighlight, onSelect }) {
+  const radius = COMBAT_CONFIG.INVENTORY.WHEEL_RADIUS;
+  const selected = items.find(i => i.slot === selection?.slot && i.key === selection?.key);
+  const selectedWeapon = selected && (selected.slot === 'gun' ? COMBAT_CONFIG.GUNS : COMBAT_CONFIG.MISSILES)[selected.key];
+  
+  return (
+    <div style={{
+      position: 'absolute',
+      left: '50%',
+      top: '50%',
+      width: 0,
+      height: 0,
+      fontFamily: '"Courier New", monospace',
+      textShadow: '0 0 10px #00ff88',
+    }}>
+      <div style={{
+        position: 'absolute',
+        left: -(radius + 60),
+        top: -(radius + 60),
+        width: (radius + 60) * 2,
+        height: (radius + 60) * 2,
+        borderRadius: '50%',
+        background: 'rgba(0, 0, 0, 0.6)',
+        border: '2px solid #446644',
+        pointerEvents: 'none',
+      }} />
+      
+      <div style={{
+        position: 'absolute',
+        transform: 'translate(-50%, -50%)',
+        textAlign: 'center',
+        whiteSpace: 'nowrap',
+        color: selectedWeapon?.color || '#00ff88',
+        pointerEvents: 'none',
+      }}>
+        <div style={{ fontSize: 16 }}>{selectedWeapon?.name || '—'}</div>
+        <div style={{ fontSize: 9, opacity: 0.7, maxWidth: radius, whiteSpace: 'normal' }}>
+          {selectedWeapon?.description}
+        </div>
+      </div>
+      
+      {items.map((item, i) => {
+        const angle = (i / items.length) * Math.PI * 2 - Math.PI / 2;
+        const weapon = (item.slot === 'gun' ? COMBAT_CONFIG.GUNS : COMBAT_CONFIG.MISSILES)[item.key];
+        const isSelected = item === selected;
+        const isEquipped = item.key === (item.slot === 'gun' ? equippedGunKey : equippedMissileKey);
+        
+        return (
+          <div
+            key={`${item.slot}-${item.key}`}
+            onMouseEnter={() => onHighlight(item)}
+            onClick={() => onSelect(item)}
+            style={{
+              position: 'absolute',
+              left: Math.cos(angle) * radius,
+              top: Math.sin(angle) * radius,
+              transform: `translate(-50%, -50%) scale(${isSelected ? 1.15 : 1})`,
+              padding: '6px 10px',
+              background: isSelected ? 'rgba(0, 255, 136, 0.25)' : 'rgba(0, 0, 0, 0.6)',
+              border: `2px solid ${isSelected ? weapon?.color || '#00ff88' : '#446644'}`,
+              borderRadius: '4px',
+              textAlign: 'center',
+              whiteSpace: 'nowrap',
+              cursor: 'pointer',
+              pointerEvents: 'auto',
+            }}
+          >
+            <div style={{ fontSize: 8, opacity: 0.6 }}>
+              {item.slot === 'gun' ? 'GUN' : 'MISSILE'}{isEquipped ? ' ◆' : ''}
+            </div>
+            <div style={{ fontSize: 12, color: weapon?.color || '#00ff88' }}>{weapon?.name || item.key}</div>
+            <div style={{ fontSize: 9, color: '#00ff88' }}>{formatInventoryEntry(item.entry, weapon)}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ============================================================================
+// HEAT GAUGE COMPONENT (HUD)
+// ============================================================================
+function HeatGauge({ state }) {
+  if (!state || (state.heat <= 0 && !state.overheated)) return null;
+  
+  const ratio = state.heat / state.max;
+  const color = state.overheated ? '#ff2222' 
+    : state.venting ? '#88ccff' 
+    : ratio > COMBAT_CONFIG.HEAT.WARNING_LEVEL ? '#ffaa00' 
+    : '#ffdd66';
+  const label = state.overheated ? 'OVERHEAT' : state.venting ? 'VENTING' : 'HEAT';
   
   return (
-    <group position={target.position} ref={ref}>
-      <mesh>
-        <ringGeometry args={[size * 0.8, size, 4]} />
-        <meshBasicMaterial color={color} transparent opacity={0.8} side={2} />
-      </mesh>
-      <mesh rotation={[0, 0, Math.PI / 4]}>
-        <ringGeometry args={[size * 0.5, size * 0.65, 4]} />
-        <meshBasicMaterial color={color} transparent opacity={0.6} side={2} />
-      </mesh>
-      {isMultiLockActive && (
-        <mesh rotation={[0, 0, Math.PI / 8]}>
-          <ringGeometry args={[size * 1.1, size * 1.2, 8]} />
-          <meshBasicMaterial color={color} transparent opacity={0.4} side={2} />
-        </mesh>
-      )}
-    </group>
+    <div style={{ fontSize: 10, marginTop: 4, color }}>
+      {label}
+      <div style={{ width: '100%', height: 3, background: '#333', marginTop: 2 }}>
+        <div style={{ width: `${ratio * 100}%`, height: '100%', background: color }} />
+      </div>
+    </div>
   );
 }
 
@@ -898,8 +1753,19 @@ function CombatHUD({
   activeWeaponType,
   powerupTimers,
   lockedTargets,
+  paintedLockCount = 0,
   activePassives,
   weaponSwitchLocked,
+  playerShield,
+  playerHull,
+  chargeLevel = 0,
+  chargeMaxLevel = 0,
+  heatLevels = {},
+  gunInventory = [],
+  missileInventory = [],
+  equippedGunKey,
+  equippedMissileKey,
+  weaponLevels = {},
 }) {
   const hudStyle = {
     position: 'absolute',
@@ -933,6 +1799,7 @@ function CombatHUD({
         <div style={weaponBoxStyle(activeWeaponType === 'gun', weaponSwitchLocked)}>
           <div style={{ fontSize: 14, color: currentGun?.color || '#00ff88' }}>
             ◆ {currentGun?.name || 'RAPID'}
+            <WeaponLevelBadge weapon={currentGun} />
           </div>
           {currentGun?.unlimited ? (
             <div style={{ fontSize: 10, opacity: 0.7 }}>∞ UNLIMITED</div>
@@ -948,11 +1815,26 @@ function CombatHUD({
               </div>
             </div>
           ) : null}
+          {chargeMaxLevel > 0 && (
+            <div style={{ fontSize: 10, marginTop: 4, color: COMBAT_CONFIG.CHARGE.COLOR }}>
+              CHARGE {'▮'.repeat(Math.floor(chargeLevel))}{'▯'.repeat(chargeMaxLevel - Math.floor(chargeLevel))}
+              <div style={{ width: '100%', height: 3, background: '#333', marginTop: 2 }}>
+                <div style={{ 
+                  width: `${(chargeLevel / chargeMaxLevel) * 100}%`, 
+                  height: '100%', 
+                  background: COMBAT_CONFIG.CHARGE.COLOR 
+                }} />
+              </div>
+            </div>
+          )}
+          <HeatGauge state={heatLevels[currentGun?.name]} />
+          <InventoryChips entries={gunInventory} equippedKey={equippedGunKey} table={COMBAT_CONFIG.GUNS} levels={weaponLevels} />
         </div>
         
         <div style={weaponBoxStyle(activeWeaponType === 'missile', weaponSwitchLocked)}>
           <div style={{ fontSize: 14, color: currentMissile?.color || '#ff4400' }}>
             ◆ {currentMissile?.name || 'HELLFIRE'}
+            <WeaponLevelBadge weapon={currentMissile} />
           </div>
           {currentMissile?.unlimited ? (
             powerupTimers.missile > 0 ? (
@@ -974,6 +1856,8 @@ function CombatHUD({
               )}
             </div>
           )}
+          <HeatGauge state={heatLevels[currentMissile?.name]} />
+          <InventoryChips entries={missileInventory} equippedKey={equippedMissileKey} table={COMBAT_CONFIG.MISSILES} levels={weaponLevels} />
         </div>
         
         <div style={{ 
@@ -988,7 +1872,9 @@ function CombatHUD({
           <div style={{ fontSize: 9, opacity: 0.6, marginTop: 2 }}>TAB / SELECT</div>
         </div>
         
-        {lockedTargets.length > 0 && (
+        {paintedLockCount > 0 ? (
+          <div style={{ fontSize: 11, marginTop: 10 }}>PAINTED: {paintedLockCount}</div>
+        ) : lockedTargets.length > 0 && (
           <div style={{ fontSize: 11, marginTop: 10 }}>LOCKS: {lockedTargets.length}</div>
         )}
       </div>
@@ -1003,7 +1889,7 @@ function CombatHUD({
             return (
               <div key={name} style={{
                 padding: '6px 10px',
-                background: `rgba(${name === 'MULTILOCK' ? '255, 170, 0' : name === 'OVERDRIVE' ? '0, 255, 255' : '68, 136, 255'}, 0.2)`,
+                background: `${config.color}33`,
                 border: `1px solid ${config.color}`,
                 borderRadius: '4px',
                 marginBottom: '6px',
@@ -1024,6 +1910,29 @@ function CombatHUD({
         </div>
       )}
       
+      {playerHull !== undefined && (
+        <div style={{ position: 'absolute', left: 60, bottom: 20, width: 180, fontSize: 10 }}>
+          <div style={{ color: '#4488ff', textShadow: '0 0 10px #4488ff' }}>
+            SHIELD {Math.ceil(playerShield)}
+          </div>
+          <div style={{ width: '100%', height: 4, background: '#333', marginTop: 2, marginBottom: 6 }}>
+            <div style={{ 
+              width: `${(playerShield / COMBAT_CONFIG.PLAYER.MAX_SHIELD) * 100}%`, 
+              height: '100%', 
+              background: '#4488ff' 
+            }} />
+          </div>
+          <div>HULL {Math.ceil(playerHull)}</div>
+          <div style={{ width: '100%', height: 4, background: '#333', marginTop: 2 }}>
+            <div style={{ 
+              width: `${(playerHull / COMBAT_CONFIG.PLAYER.MAX_HULL) * 100}%`, 
+              height: '100%', 
+              background: playerHull / COMBAT_CONFIG.PLAYER.MAX_HULL < 0.25 ? '#ff4444' : '#00ff88' 
+            }} />
+          </div>
+        </div>
+      )}
+      
       {autoLockEnabled && (
         <div style={{ 
           position: 'absolute', 
@@ -1051,6 +1960,9 @@ function CombatHUD({
         textDecoration: weaponSwitchLocked ? 'line-through' : 'none',
       }}>
         [F / Y] SWITCH WEAPON TYPE
+        {gunInventory.length + missileInventory.length > 2 && (
+          <span style={{ marginLeft: 20 }}>[Z / X] CYCLE GUN · [C] WEAPON WHEEL</span>
+        )}
       </div>
     </div>
   );
@@ -1059,11 +1971,19 @@ function CombatHUD({
 // ============================================================================
 // MAIN COMBAT SYSTEM COMPONENT
 // ============================================================================
+
+// Simulation lists drawn as one component per entity. Shots and missiles are
+// instanced, so spawning them doesn't need a re-render.
+const COMPONENT_RENDERED_LISTS = ['chargedShots', 'gravityWells', 'thorStrikes', 'smartbombs', 'customEntities', 'flares'];
+
 export function CombatSystem({
   playerPosition,
   playerAimTarget,
+  playerForward,
   enemies = [],
+  friendlies = [],
   onEnemyDamage,
+  onFriendlyHit,
   onEnemyKill,
   onEnemyPull,
   onWeaponFire,
@@ -1073,6 +1993,7 @@ export function CombatSystem({
   toggleLockInput = false,
   cycleTargetNextInput = false,
   cycleTargetPrevInput = false,
+  cyclePartInput = false,
   unlockedWeapons = ['GRAVITY'],
   getMovementMultiplier,
   getBarrelRollMultiplier,
@@ -1080,12 +2001,48 @@ export function CombatSystem({
   getBoostMultiplier,
   getBoostCooldownMultiplier,
   getDamageReduction,
+  enemyWeapons,
+  ventInput = false,
+  onOverheat,
+  onCooldown,
+  nextGunInput = false,
+  prevGunInput = false,
+  weaponWheelInput = false,
+  onWeaponLevelChange,
+  onLockPainted,
+  onMissileDecoyed,
+  onMissileDestroyed,
+  onHostileProjectileHit,
+  hostileProjectiles,
+  onTargetChanged,
+  onTargetLost,
+  occluders,
+  raycastOcclusion,
+  simulation: sharedSimulation,
+  combatantId = PLAYER_TARGET_ID,
+  team = COMBAT_CONFIG.TEAMS.PLAYER_TEAM,
+  worldHost = true,
 }) {
+  const { DEFAULT_GUN, DEFAULT_MISSILE } = COMBAT_CONFIG.INVENTORY;
+  
+  // Entities, powerup timers, ammo and passives live in the simulation; the
+  // state below mirrors them for rendering and the HUD. Several CombatSystems
+  // can share one simulation, each flying its own combatant; the worldHost
+  // steps it and draws what's in flight.
+  const [simulation] = useState(() => sharedSimulation || new CombatSimulation());
+  const [, setSimRevision] = useState(0);
+  
   const [activeWeaponType, setActiveWeaponType] = useState('gun');
-  const [currentGun, setCurrentGun] = useState(COMBAT_CONFIG.GUNS.RAPID);
-  const [currentMissile, setCurrentMissile] = useState(COMBAT_CONFIG.MISSILES.HELLFIRE);
-  const [missileAmmo, setMissileAmmo] = useState(COMBAT_CONFIG.MISSILES.HELLFIRE.maxAmmo);
-  const [isReloading, setIsReloading] = useState(false);
+  const [missileAmmo, setMissileAmmo] = useState(COMBAT_CONFIG.MISSILES[DEFAULT_MISSILE].maxAmmo);
+  
+  // The combatant joins and leaves with the same lifecycle, so a StrictMode
+  // remount or a new combatantId sets it up again with its team and the ammo
+  // the HUD shows. Team changes alone are picked up every frame in useFrame.
+  useEffect(() => {
+    simulation.setCombatant(combatantId, { team });
+    simulation.setAmmo(missileAmmo, combatantId);
+    return () => simulation.removeCombatant(combatantId);
+  }, [simulation, combatantId]);
   const [reloadProgress, setReloadProgress] = useState(1);
   
   const [autoLockEnabled, setAutoLockEnabled] = useState(true);
@@ -1093,25 +2050,113 @@ export function CombatSystem({
   const [gunPowerupTimer, setGunPowerupTimer] = useState(0);
   const [missilePowerupTimer, setMissilePowerupTimer] = useState(0);
   
+  const [equippedGunKey, setEquippedGunKey] = useState(DEFAULT_GUN);
+  const [equippedMissileKey, setEquippedMissileKey] = useState(DEFAULT_MISSILE);
+  const [gunInventory, setGunInventory] = useState(() => [
+    createInventoryEntry(DEFAULT_GUN, COMBAT_CONFIG.GUNS[DEFAULT_GUN], true),
+  ]);
+  const [missileInventory, setMissileInventory] = useState(() => [
+    createInventoryEntry(DEFAULT_MISSILE, COMBAT_CONFIG.MISSILES[DEFAULT_MISSILE], true),
+  ]);
+  const [wheelSelection, setWheelSelection] = useState(null);
+  const lastCycleGunTime = useRef(0);
+  
+  // Upgrade level per weapon key, kept while the weapon is dropped or swapped out
+  const [weaponLevels, setWeaponLevels] = useState({});
+  
+  const currentGun = useMemo(() => applyWeaponLevel(
+    COMBAT_CONFIG.GUNS[equippedGunKey] || COMBAT_CONFIG.GUNS[DEFAULT_GUN],
+    weaponLevels[equippedGunKey]
+  ), [equippedGunKey, DEFAULT_GUN, weaponLevels]);
+  
+  const currentMissile = useMemo(() => applyWeaponLevel(
+    COMBAT_CONFIG.MISSILES[equippedMissileKey] || COMBAT_CONFIG.MISSILES[DEFAULT_MISSILE],
+    weaponLevels[equippedMissileKey]
+  ), [equippedMissileKey, DEFAULT_MISSILE, weaponLevels]);
+  
   const [activePassives, setActivePassives] = useState({});
   const weaponSwitchLocked = activePassives.MULTILOCK > 0;
   
-  const [projectiles, setProjectiles] = useState([]);
-  const [multiLockProjectiles, setMultiLockProjectiles] = useState([]);
-  const [missiles, setMissiles] = useState([]);
-  const [gravityWells, setGravityWells] = useState([]);
-  const [thorStrikes, setThorStrikes] = useState([]);
-  const [smartbombActive, setSmartbombActive] = useState(false);
   const [beamActive, setBeamActive] = useState(false);
   const [thorActive, setThorActive] = useState(false);
   const [armorExplosions, setArmorExplosions] = useState([]);
+  const [chainArcs, setChainArcs] = useState([]);
+  const [chargeLevel, setChargeLevel] = useState(0);
+  const fireHeldSince = useRef(0);
   
   const lastFireTime = useRef(0);
+  const lastPaintTime = useRef(0);
   const lastSwitchTime = useRef(0);
   const lastToggleLockTime = useRef(0);
-  const reloadStartTime = useRef(0);
+  const heatState = useRef({});
+  const [heatLevels, setHeatLevels] = useState({});
+  
+  const [playerShield, setPlayerShield] = useState(COMBAT_CONFIG.PLAYER.MAX_SHIELD);
+  const [playerHull, setPlayerHull] = useState(COMBAT_CONFIG.PLAYER.MAX_HULL);
+  const shieldRef = useRef(COMBAT_CONFIG.PLAYER.MAX_SHIELD);
+  const hullRef = useRef(COMBAT_CONFIG.PLAYER.MAX_HULL);
+  const lastPlayerHitTime = useRef(0);
+  const invulnerableUntil = useRef(0);
+  const nextEffectId = useRef(0);
+  
+  // Pass a memoized occluders array; a new array each render rebuilds the test
+  const occlusion = useMemo(
+    () => createOcclusionTest(occluders, raycastOcclusion),
+    [occluders, raycastOcclusion]
+  );
+  const lineOfSight = useMemo(
+    () => (occlusion ? (from, target) => hasLineOfSight(occlusion, from, target) : null),
+    [occlusion]
+  );
+  
+  // Friendlies close enough to mark; they never enter targeting
+  const friendlyMarkers = useMemo(() => {
+    if (!playerPosition) return [];
+    return friendlies.filter(friendly => friendly?.position && friendly.health > 0 &&
+      friendly.position.distanceTo(playerPosition) <= COMBAT_CONFIG.IFF.MARKER_RANGE);
+  }, [friendlies, playerPosition]);
+  
+  // Lock cone points at the aim target, else along the ship's forward vector
+  const lockAimDirection = useMemo(() => {
+    if (playerAimTarget && playerPosition) {
+      const toAim = playerAimTarget.clone().sub(playerPosition);
+      if (toAim.lengthSq() > 0) return toAim.normalize();
+    }
+    return playerForward ? playerForward.clone().normalize() : null;
+  }, [playerAimTarget, playerPosition, playerForward]);
+  
+  // Rival combatants (versus, AI squads) lock like enemies. getRivals hands back
+  // the same list until a combatant joins, leaves or switches team.
+  const rivals = simulation.getRivals(team);
+  const targetables = useMemo(() => (
+    rivals.length > 0 ? enemies.concat(rivals) : enemies
+  ), [enemies, rivals]);
+  
+  // Lock changes also go out as events, so other peers can warn their pilots
+  const handleTargetChanged = useCallback((target, previous) => {
+    simulation.emit(COMBAT_EVENTS.LOCK, {
+      combatantId,
+      targetId: target?.id ?? null,
+      partId: target?.partId ?? null,
+      previousId: previous?.id ?? null,
+    });
+    onTargetChanged?.(target, previous);
+  }, [simulation, combatantId, onTargetChanged]);
+  
+  const targeting = useTargetingSystem(targetables, playerPosition, autoLockEnabled, {
+    lineOfSight,
+    aimDirection: lockAimDirection,
+    onTargetChanged: handleTargetChanged,
+    onTargetLost,
+  });
+  
+  useEffect(() => {
+    simulation.setWeaponConfig('gun', currentGun, combatantId);
+  }, [simulation, currentGun, combatantId]);
   
-  const targeting = useTargetingSystem(enemies, playerPosition, autoLockEnabled);
+  useEffect(() => {
+    simulation.setWeaponConfig('missile', currentMissile, combatantId);
+  }, [simulation, currentMissile, combatantId]);
   
   useEffect(() => {
     if (switchWeaponInput && !weaponSwitchLocked) {
@@ -1141,6 +2186,10 @@ export function CombatSystem({
     if (cycleTargetPrevInput) targeting.cycleTargetPrev();
   }, [cycleTargetPrevInput, targeting]);
   
+  useEffect(() => {
+    if (cyclePartInput) targeting.cyclePartNext();
+  }, [cyclePartInput, targeting]);
+  
   useEffect(() => {
     if (activePassives.MULTILOCK > 0) {
       setActiveWeaponType('gun');
@@ -1161,60 +2210,152 @@ export function CombatSystem({
     return new Vector3(0, 0, -1);
   }, [playerPosition, playerAimTarget, autoLockEnabled, targeting.currentTarget]);
   
+  // Beams and custom weapons report here directly, so they're credited to us
+  // unless the simulation already said who fired
+  const handleProjectileHit = useCallback((projectileId, enemyId, damage, options = {}) => {
+    onEnemyDamage?.(enemyId, damage, { attackerId: combatantId, attackerTeam: team, ...options });
+  }, [onEnemyDamage, combatantId, team]);
+  
+  const handleFriendlyHit = useCallback((sourceId, friendlyId, damage, options = {}) => {
+    onFriendlyHit?.(friendlyId, damage, { attackerId: combatantId, attackerTeam: team, ...options });
+  }, [onFriendlyHit, combatantId, team]);
+  
+  // The beam is drawn here but a rival takes the hit through its own onPlayerHit
+  const handleRivalBeamHit = useCallback((sourceId, rivalId, damage, options = {}) => {
+    simulation.hitCombatant({ ownerId: combatantId, team, config: currentGun }, rivalId, damage, options);
+  }, [simulation, combatantId, team, currentGun]);
+  
+  const spawnProjectile = useCallback((config, direction, extra = {}) => (
+    simulation.spawnProjectile(config, direction, { position: playerPosition, ownerId: combatantId, ...extra })
+  ), [simulation, playerPosition, combatantId]);
+  
+  const spawnMultiLockProjectile = useCallback((config, target, delay = 0) => (
+    simulation.spawnMultiLockProjectile(config, target, delay, combatantId)
+  ), [simulation, combatantId]);
+  
+  const spawnMissile = useCallback((config, target, { position, delay = 0 } = {}) => (
+    simulation.spawnMissile(config, target, { position: position || playerPosition, delay, ownerId: combatantId })
+  ), [simulation, playerPosition, combatantId]);
+  
+  const spawnThorStrike = useCallback((config, target) => (
+    simulation.spawnThorStrike(config, target, combatantId)
+  ), [simulation, combatantId]);
+  
+  const spawnCustomEntity = useCallback((weaponId, config, entity = {}) => (
+    simulation.spawnCustom({
+      position: playerPosition.clone(),
+      ...entity,
+      ownerId: combatantId,
+      weaponId,
+      config,
+    })
+  ), [simulation, playerPosition, combatantId]);
+  
+  // Everything a weapon behavior may touch when it fires
+  const buildFireApi = useCallback((config, behavior, now) => ({
+    config,
+    slot: config.type,
+    now,
+    origin: playerPosition.clone(),
+    aimDirection: getAimDirection(),
+    aimTarget: playerAimTarget,
+    autoLockEnabled,
+    targeting,
+    enemies,
+    ammo: simulation.getCombatant(combatantId).loadout.missile.ammo,
+    spawn: (entity) => spawnCustomEntity(behavior.id, config, entity),
+    spawnProjectile: (direction, extra) => spawnProjectile(config, direction, extra),
+    spawnMultiLockProjectile: (target, delay) => spawnMultiLockProjectile(config, target, delay),
+    spawnMissile: (target, options) => spawnMissile(config, target, options),
+    spawnThorStrike: (target) => spawnThorStrike(config, target),
+    setBeamActive,
+    setThorActive,
+    triggerSmartbomb: () => simulation.triggerSmartbomb(config, combatantId),
+    consumeAmmo: (count = 1) => simulation.consumeAmmo(count, combatantId),
+    damageEnemy: (enemyId, damage, options) => handleProjectileHit(null, enemyId, damage, options),
+  }), [
+    playerPosition, 
+    playerAimTarget, 
+    getAimDirection, 
+    autoLockEnabled, 
+    targeting, 
+    enemies, 
+    simulation,
+    combatantId,
+    spawnCustomEntity,
+    spawnProjectile,
+    spawnMultiLockProjectile,
+    spawnMissile,
+    spawnThorStrike,
+    handleProjectileHit,
+  ]);
+  
+  // Heat is tracked per weapon name so a weapon keeps its heat across pickups
+  const isHeatLocked = useCallback((config) => {
+    const state = heatState.current[config.name];
+    return !!state && (state.overheated || state.venting);
+  }, []);
+  
+  const addWeaponHeat = useCallback((config) => {
+    const heatConfig = getHeatConfig(config);
+    if (!heatConfig) return;
+    
+    const now = Date.now();
+    const state = heatState.current[config.name] || { heat: 0, overheated: false, venting: false, lockedUntil: 0 };
+    heatState.current[config.name] = state;
+    
+    state.config = heatConfig;
+    state.lastShot = now;
+    state.heat = Math.min(heatConfig.max, state.heat + heatConfig.perShot);
+    
+    if (state.heat >= heatConfig.max && !state.overheated) {
+      const reduction = activePassives.OVERDRIVE > 0 ? COMBAT_CONFIG.PASSIVES.OVERDRIVE.heatCooldownReduction : 1;
+      state.overheated = true;
+      state.lockedUntil = now + heatConfig.overheatLockout * reduction;
+      onOverheat?.(config.name, activeWeaponType);
+    }
+  }, [activePassives.OVERDRIVE, activeWeaponType, onOverheat]);
+  
+  const ventHeat = useCallback(() => {
+    const config = activeWeaponType === 'gun' ? currentGun : currentMissile;
+    const state = heatState.current[config.name];
+    if (!state || state.heat <= 0 || state.venting) return false;
+    
+    state.venting = true;
+    if (getWeaponBehavior(config)?.continuous) setBeamActive(false);
+    return true;
+  }, [activeWeaponType, currentGun, currentMissile]);
+  
+  useEffect(() => {
+    if (ventInput) ventHeat();
+  }, [ventInput, ventHeat]);
+  
   const fireGun = useCallback(() => {
     if (!playerPosition) return;
     
     const config = currentGun;
     const now = Date.now();
     
-    if (now - lastFireTime.current < config.fireRate) return;
-    lastFireTime.current = now;
-    
-    if (config.isConstant) {
-      setBeamActive(true);
-      return;
-    }
+    let behavior = getWeaponBehavior(config);
+    if (!behavior) return;
     
-    if (activePassives.MULTILOCK > 0) {
-      const allTargets = targeting.lockAllTargets();
-      allTargets.forEach((target, i) => {
-        setTimeout(() => {
-          const newProj = {
-            id: now + Math.random() + i,
-            position: playerPosition.clone(),
-            target,
-            config,
-          };
-          setMultiLockProjectiles(prev => [...prev, newProj]);
-        }, i * 30);
-      });
-      onWeaponFire?.('gun', config.name + ' (MULTI-LOCK)');
+    if (isHeatLocked(config)) {
+      if (behavior.continuous) setBeamActive(false);
       return;
     }
     
-    const aimDir = getAimDirection();
+    if (now - lastFireTime.current < config.fireRate) return;
+    lastFireTime.current = now;
     
-    for (let i = 0; i < config.projectilesPerShot; i++) {
-      const dir = aimDir.clone();
-      
-      if (config.spread > 0) {
-        dir.x += (Math.random() - 0.5) * config.spread;
-        dir.y += (Math.random() - 0.5) * config.spread;
-        dir.normalize();
-      }
-      
-      const newProjectile = {
-        id: now + Math.random() + i,
-        position: playerPosition.clone(),
-        direction: dir,
-        config,
-      };
-      
-      setProjectiles(prev => [...prev, newProjectile]);
+    if (activePassives.MULTILOCK > 0 && !behavior.continuous) {
+      behavior = WEAPON_REGISTRY.multiLockGun;
     }
     
-    onWeaponFire?.('gun', config.name);
-  }, [playerPosition, currentGun, getAimDirection, onWeaponFire, activePassives.MULTILOCK, targeting]);
+    if (behavior.fire(buildFireApi(config, behavior, now)) === false) return;
+    addWeaponHeat(config);
+    
+    onWeaponFire?.('gun', behavior.fireLabel ? behavior.fireLabel(config) : config.name);
+  }, [playerPosition, currentGun, buildFireApi, onWeaponFire, activePassives.MULTILOCK, isHeatLocked, addWeaponHeat]);
   
   const fireMissile = useCallback(() => {
     if (!playerPosition) return;
@@ -1222,256 +2363,541 @@ export function CombatSystem({
     const config = currentMissile;
     const now = Date.now();
     
-    if (!config.unlimited && missileAmmo <= 0) return;
+    if (!config.unlimited && simulation.getCombatant(combatantId).loadout.missile.ammo <= 0) return;
+    if (isHeatLocked(config)) return;
     
     if (config.fireRate && now - lastFireTime.current < config.fireRate) return;
     lastFireTime.current = now;
     
-    if (config.isScreenClear) {
-      if (missileAmmo > 0) {
-        setSmartbombActive(true);
-        setMissileAmmo(prev => prev - 1);
-        onWeaponFire?.('missile', config.name);
-      }
-      return;
-    }
-    
-    if (config.rodImpactInstant) {
-      setThorActive(true);
-      
-      const targets = autoLockEnabled 
-        ? targeting.lockMultipleTargets(config.maxPaintedTargets)
-        : [{ position: playerAimTarget, id: 'manual' }];
-      
-      targets.forEach((target, i) => {
-        if (!target?.position) return;
-        
-        const newStrike = {
-          id: now + Math.random() + i,
-          target,
-          config,
-        };
-        
-        setThorStrikes(prev => [...prev, newStrike]);
-      });
-      
-      onWeaponFire?.('missile', config.name);
-      return;
-    }
+    const behavior = getWeaponBehavior(config);
+    if (!behavior) return;
     
-    if (config.multiLock) {
-      const targets = targeting.lockMultipleTargets(config.maxTargets);
-      
-      targets.forEach((target, i) => {
-        setTimeout(() => {
-          const newMissile = {
-            id: now + Math.random() + i,
-            position: playerPosition.clone().add(new Vector3(
-              (Math.random() - 0.5) * 2,
-              (Math.random() - 0.5) * 2,
-              0
-            )),
-            target,
-            config,
-          };
-          
-          setMissiles(prev => [...prev, newMissile]);
-        }, i * 50);
-      });
-      
-      if (!config.unlimited) {
-        setMissileAmmo(prev => Math.max(0, prev - targets.length));
-      }
-    } else {
-      const target = targeting.currentTarget || { position: playerAimTarget };
-      
-      const newMissile = {
-        id: now + Math.random(),
-        position: playerPosition.clone(),
-        target,
-        config,
-      };
-      
-      setMissiles(prev => [...prev, newMissile]);
-      
-      if (!config.unlimited) {
-        setMissileAmmo(prev => prev - 1);
-      }
-    }
+    if (behavior.fire(buildFireApi(config, behavior, now)) === false) return;
+    addWeaponHeat(config);
     
-    onWeaponFire?.('missile', config.name);
-  }, [playerPosition, playerAimTarget, currentMissile, missileAmmo, autoLockEnabled, targeting, onWeaponFire]);
+    onWeaponFire?.('missile', behavior.fireLabel ? behavior.fireLabel(config) : config.name);
+  }, [playerPosition, currentMissile, simulation, combatantId, buildFireApi, onWeaponFire, isHeatLocked, addWeaponHeat]);
   
-  const handleGravityAttach = useCallback((enemy, config) => {
-    const newWell = {
-      id: Date.now() + Math.random(),
-      anchorEnemy: enemy,
-      config,
+  // Held trigger on a painting missile: one lock per paintInterval, capped by
+  // maxTargets and the ammo left
+  const paintMissileLock = useCallback(() => {
+    const config = currentMissile;
+    const now = Date.now();
+    
+    if (isHeatLocked(config)) return;
+    if (now - lastPaintTime.current < config.paintInterval) return;
+    
+    const maxLocks = config.unlimited
+      ? config.maxTargets
+      : Math.min(config.maxTargets, simulation.getCombatant(combatantId).loadout.missile.ammo);
+    const lock = targeting.paintLock(maxLocks);
+    if (!lock) return;
+    
+    lastPaintTime.current = now;
+    onLockPainted?.({ ...lock, maxLocks, full: lock.totalLocks >= maxLocks });
+  }, [currentMissile, simulation, combatantId, targeting, isHeatLocked, onLockPainted]);
+  
+  const fireChargeShot = useCallback((level) => {
+    const charge = getChargeConfig(currentGun);
+    if (!playerPosition || !charge || level < 1) return;
+    
+    const config = {
+      ...currentGun,
+      name: currentGun.name + ' (CHARGED)',
+      damage: currentGun.damage * charge.damagePerLevel * level,
+      explosionRadius: charge.radiusPerLevel * level,
+      projectileSpeed: charge.speed,
+      projectileLifetime: charge.lifetime,
+      projectileScale: 0.3 + level * 0.2,
+      homingTurnRate: charge.homingTurnRate,
+      color: charge.color,
+      chargeLevel: level,
     };
-    setGravityWells(prev => [...prev, newWell]);
-  }, []);
+    
+    simulation.spawnChargedShot(config, getAimDirection(), targeting.currentTarget, combatantId);
+    onWeaponFire?.('gun', config.name);
+  }, [playerPosition, currentGun, simulation, combatantId, getAimDirection, targeting.currentTarget, onWeaponFire]);
   
   useFrame((_, delta) => {
-    if (gunPowerupTimer > 0) {
-      setGunPowerupTimer(prev => {
-        const next = prev - delta * 1000;
-        if (next <= 0) {
-          setCurrentGun(COMBAT_CONFIG.GUNS.RAPID);
-          return 0;
-        }
-        return next;
-      });
+    if (worldHost) {
+      simulation.setEnemies(enemies);
+      simulation.setFriendlies(friendlies);
+      simulation.setHostileProjectiles(hostileProjectiles);
     }
+    simulation.setCombatant(combatantId, { team, position: playerPosition });
+    const handlers = {
+      onHit: handleProjectileHit,
+      onPlayerHit: handlePlayerDamage,
+      onPull: (enemyId, direction, strength) => onEnemyPull?.(enemyId, direction, strength),
+      onKill: (enemyId, options) => onEnemyKill?.(enemyId, options),
+      onChainArc: addChainArc,
+      hasLineOfSight: lineOfSight,
+      onMissileDecoyed: (missileId, info) => onMissileDecoyed?.(missileId, info),
+      onMissileDestroyed: (missileId, info) => onMissileDestroyed?.(missileId, info),
+      onHostileProjectileHit: (id, damage, info) => onHostileProjectileHit?.(id, damage, info),
+      onFriendlyHit: handleFriendlyHit,
+      onPointDefenseShot: (from, to) => addChainArc(from, to, COMBAT_CONFIG.PASSIVES.POINT_DEFENSE.color),
+      onTimerExpired: (slot) => (slot === 'gun' ? dropGun(equippedGunKey) : dropMissile(equippedMissileKey)),
+      onAmmoDepleted: () => {
+        // Spent single-use pickups leave the inventory
+        if (equippedMissileKey !== DEFAULT_MISSILE) dropMissile(equippedMissileKey);
+      },
+      updateCustom: (entity, dt) => WEAPON_REGISTRY[entity.weaponId]?.update?.(entity, dt, {
+        enemies,
+        playerPosition,
+        damageEnemy: (enemyId, damage, options) => handleProjectileHit(entity.id, enemyId, damage, options),
+      }),
+    };
+    simulation.setHandlers(handlers, combatantId);
     
-    if (missilePowerupTimer > 0) {
-      setMissilePowerupTimer(prev => {
-        const next = prev - delta * 1000;
-        if (next <= 0) {
-          setCurrentMissile(COMBAT_CONFIG.MISSILES.HELLFIRE);
-          setMissileAmmo(COMBAT_CONFIG.MISSILES.HELLFIRE.maxAmmo);
-          setThorActive(false);
-          return 0;
-        }
-        return next;
-      });
+    // The world host also hears what combatants without handlers of their own
+    // cause, such as networked peers' hits on enemies it owns
+    if (worldHost) {
+      simulation.setHandlers(handlers);
+      simulation.advance(delta);
+    }
+    
+    if (!COMBAT_CONFIG.INVENTORY.PAUSE_UNEQUIPPED_TIMERS) {
+      setGunInventory(prev => tickUnequippedTimers(prev, equippedGunKey, delta));
+      setMissileInventory(prev => tickUnequippedTimers(prev, equippedMissileKey, delta));
     }
     
-    setActivePassives(prev => {
-      const updated = { ...prev };
+    const heatEntries = Object.entries(heatState.current);
+    if (heatEntries.length > 0) {
+      const now = Date.now();
+      const reduction = activePassives.OVERDRIVE > 0 ? COMBAT_CONFIG.PASSIVES.OVERDRIVE.heatCooldownReduction : 1;
       let changed = false;
       
-      Object.keys(updated).forEach(key => {
-        if (updated[key] > 0) {
-          updated[key] -= delta * 1000;
+      heatEntries.forEach(([name, state]) => {
+        const { config } = state;
+        
+        if (state.overheated && now >= state.lockedUntil) {
+          state.overheated = false;
           changed = true;
-          if (updated[key] <= 0) {
-            delete updated[key];
-          }
+          if (!state.venting) onCooldown?.(name);
+        }
+        
+        if (state.heat <= 0) return;
+        if (!state.venting && now - state.lastShot < config.coolDelay) return;
+        
+        const rate = (config.coolRate / reduction) * (state.venting ? config.ventMultiplier : 1);
+        state.heat = Math.max(0, state.heat - rate * delta);
+        changed = true;
+        
+        if (state.heat === 0 && state.venting) {
+          state.venting = false;
+          if (!state.overheated) onCooldown?.(name);
         }
       });
       
-      return changed ? updated : prev;
-    });
-    
-    if (isReloading) {
-      const elapsed = Date.now() - reloadStartTime.current;
-      const progress = elapsed / currentMissile.reloadTime;
-      setReloadProgress(progress);
-      
-      if (progress >= 1) {
-        setIsReloading(false);
-        setMissileAmmo(currentMissile.maxAmmo);
-        setReloadProgress(1);
+      if (changed) {
+        const snapshot = {};
+        heatEntries.forEach(([name, state]) => {
+          snapshot[name] = {
+            heat: state.heat,
+            max: state.config.max,
+            overheated: state.overheated,
+            venting: state.venting,
+          };
+        });
+        setHeatLevels(snapshot);
       }
-    } else if (missileAmmo <= 0 && currentMissile.reloadTime && !currentMissile.unlimited) {
-      setIsReloading(true);
-      reloadStartTime.current = Date.now();
     }
     
-    if (fireInput) {
+    if (shieldRef.current < COMBAT_CONFIG.PLAYER.MAX_SHIELD &&
+        Date.now() - lastPlayerHitTime.current > COMBAT_CONFIG.PLAYER.SHIELD_REGEN_DELAY) {
+      shieldRef.current = Math.min(
+        COMBAT_CONFIG.PLAYER.MAX_SHIELD,
+        shieldRef.current + COMBAT_CONFIG.PLAYER.SHIELD_REGEN_RATE * delta
+      );
+      setPlayerShield(shieldRef.current);
+    }
+    
+    // Charge-capable guns fire normally until the hold passes the threshold,
+    // then build charge levels and release a charged shot on let-go
+    const charge = activeWeaponType === 'gun' && !(activePassives.MULTILOCK > 0)
+      ? getChargeConfig(currentGun)
+      : null;
+    
+    // The trigger is ignored while the weapon wheel is open
+    const triggerHeld = fireInput && !weaponWheelInput;
+    
+    if (triggerHeld) {
       if (activeWeaponType === 'gun') {
-        fireGun();
+        const now = Date.now();
+        if (!fireHeldSince.current) fireHeldSince.current = now;
+        const held = now - fireHeldSince.current;
+        
+        if (charge && held >= charge.threshold) {
+          const nextCharge = Math.min(charge.maxLevel, (held - charge.threshold) / charge.levelTime);
+          if (nextCharge !== chargeLevel) setChargeLevel(nextCharge);
+        } else {
+          fireGun();
+        }
+      } else if (paintsLocks(currentMissile)) {
+        paintMissileLock();
       } else {
         fireMissile();
       }
     } else {
-      if (currentGun.isConstant) {
+      if (fireHeldSince.current) {
+        fireHeldSince.current = 0;
+        if (charge && chargeLevel >= 1) {
+          fireChargeShot(Math.floor(chargeLevel));
+        }
+        if (chargeLevel !== 0) setChargeLevel(0);
+      }
+      
+      if (getWeaponBehavior(currentGun)?.continuous) {
         setBeamActive(false);
       }
     }
+    
+    // Letting go of a painting trigger launches the salvo; switching away drops the paint.
+    // The launch releases the paint itself, so a salvo held back by fire rate,
+    // heat or a reload keeps its locks and goes out on the next allowed frame.
+    if (targeting.paintedLockCount > 0 && !(triggerHeld && activeWeaponType === 'missile')) {
+      if (activeWeaponType === 'missile' && paintsLocks(currentMissile)) {
+        fireMissile();
+      } else {
+        targeting.clearPaintedLocks();
+      }
+    }
+    
+    // Mirror the simulation for the HUD; a new revision means entities drawn as
+    // components were spawned or removed (including by this frame's firing)
+    const combatant = simulation.getCombatant(combatantId);
+    const { gun, missile } = combatant.loadout;
+    setGunPowerupTimer(gun.timer);
+    setMissilePowerupTimer(missile.timer);
+    setMissileAmmo(missile.ammo);
+    setReloadProgress(simulation.getReloadProgress(combatantId));
+    setActivePassives(combatant.passives);
+    setSimRevision(COMPONENT_RENDERED_LISTS.reduce((sum, list) => sum + (simulation.revisions[list] || 0), 0));
   });
   
-  const handleProjectileHit = useCallback((projectileId, enemyId, damage, options = {}) => {
-    onEnemyDamage?.(enemyId, damage, options);
-  }, [onEnemyDamage]);
-  
-  const handleGravityEffect = useCallback((enemyId, pullDir, strength, isKill = false, damage = 0) => {
-    if (isKill) {
-      onEnemyKill?.(enemyId, { isGravityCollapse: true });
-    } else if (pullDir) {
-      onEnemyPull?.(enemyId, pullDir, strength);
-    }
-  }, [onEnemyKill, onEnemyPull]);
+  const addChainArc = useCallback((from, to, color) => {
+    setChainArcs(prev => [...prev, { id: ++nextEffectId.current, from, to, color }]);
+  }, []);
   
-  const handlePlayerDamage = useCallback((damage, position) => {
-    let finalDamage = damage;
+  const handlePlayerDamage = useCallback((damage, position, options = {}) => {
+    const now = Date.now();
+    if (now < invulnerableUntil.current) return 0;
     
-    if (activePassives.ACTIVE_ARMOR > 0) {
-      finalDamage = damage * (1 - COMBAT_CONFIG.PASSIVES.ACTIVE_ARMOR.damageReduction);
-      
+    const damageType = options.damageType || COMBAT_CONFIG.PLAYER.DEFAULT_DAMAGE_TYPE;
+    const armorActive = activePassives.ACTIVE_ARMOR > 0;
+    const reduction = armorActive ? COMBAT_CONFIG.PASSIVES.ACTIVE_ARMOR.damageReduction : 0;
+    
+    const result = resolvePlayerDamage(damage, damageType, shieldRef.current, reduction);
+    
+    shieldRef.current -= result.shieldAbsorbed;
+    hullRef.current = Math.max(0, hullRef.current - result.hullDamage);
+    lastPlayerHitTime.current = now;
+    invulnerableUntil.current = now + COMBAT_CONFIG.PLAYER.INVULNERABILITY_DURATION;
+    
+    setPlayerShield(shieldRef.current);
+    setPlayerHull(hullRef.current);
+    
+    if (armorActive && position) {
       const newExplosion = {
-        id: Date.now() + Math.random(),
+        id: ++nextEffectId.current,
         position: position.clone(),
       };
       setArmorExplosions(prev => [...prev, newExplosion]);
     }
     
-    onPlayerDamage?.(finalDamage);
-    return finalDamage;
+    onPlayerDamage?.({
+      ...options,
+      ...result,
+      damageType,
+      shield: shieldRef.current,
+      hull: hullRef.current,
+    });
+    return result.hullDamage;
   }, [activePassives.ACTIVE_ARMOR, onPlayerDamage]);
   
-  const removeProjectile = useCallback((id) => {
-    setProjectiles(prev => prev.filter(p => p.id !== id));
-  }, []);
-  
-  const removeMultiLockProjectile = useCallback((id) => {
-    setMultiLockProjectiles(prev => prev.filter(p => p.id !== id));
+  const repairHull = useCallback((amount = COMBAT_CONFIG.PLAYER.MAX_HULL) => {
+    hullRef.current = Math.min(COMBAT_CONFIG.PLAYER.MAX_HULL, hullRef.current + amount);
+    setPlayerHull(hullRef.current);
   }, []);
   
-  const removeMissile = useCallback((id) => {
-    setMissiles(prev => prev.filter(m => m.id !== id));
+  const removeArmorExplosion = useCallback((id) => {
+    setArmorExplosions(prev => prev.filter(e => e.id !== id));
   }, []);
   
-  const removeGravityWell = useCallback((id) => {
-    setGravityWells(prev => prev.filter(g => g.id !== id));
+  const removeChainArc = useCallback((id) => {
+    setChainArcs(prev => prev.filter(a => a.id !== id));
   }, []);
   
-  const removeThorStrike = useCallback((id) => {
-    setThorStrikes(prev => prev.filter(t => t.id !== id));
-  }, []);
+  // Switching weapons stores the live timer/ammo of the equipped weapon back in
+  // its inventory entry and loads the chosen entry's values
+  const equipGun = useCallback((key) => {
+    const entry = gunInventory.find(e => e.key === key);
+    const weapon = COMBAT_CONFIG.GUNS[key];
+    if (!entry || !weapon || key === equippedGunKey) return false;
+    
+    setGunInventory(prev => prev.map(e => (
+      e.key === equippedGunKey && e.timer !== null ? { ...e, timer: gunPowerupTimer } : e
+    )));
+    setEquippedGunKey(key);
+    simulation.setWeaponTimer('gun', entry.timer || 0, combatantId);
+    setBeamActive(false);
+    return true;
+  }, [gunInventory, equippedGunKey, gunPowerupTimer, simulation, combatantId]);
+  
+  const equipMissile = useCallback((key) => {
+    const entry = missileInventory.find(e => e.key === key);
+    const weapon = COMBAT_CONFIG.MISSILES[key];
+    if (!entry || !weapon || key === equippedMissileKey) return false;
+    
+    setMissileInventory(prev => prev.map(e => (
+      e.key === equippedMissileKey 
+        ? { ...e, ammo: missileAmmo, timer: e.timer === null ? null : missilePowerupTimer } 
+        : e
+    )));
+    setEquippedMissileKey(key);
+    simulation.setAmmo(entry.ammo, combatantId);
+    simulation.setWeaponTimer('missile', entry.timer || 0, combatantId);
+    setThorActive(!!weapon.rodImpactInstant);
+    return true;
+  }, [missileInventory, equippedMissileKey, missileAmmo, missilePowerupTimer, simulation, combatantId]);
+  
+  const dropGun = useCallback((key) => {
+    if (key === DEFAULT_GUN) return;
+    
+    setGunInventory(prev => prev.filter(e => e.key !== key));
+    
+    if (key === equippedGunKey) {
+      setEquippedGunKey(DEFAULT_GUN);
+      simulation.setWeaponTimer('gun', 0, combatantId);
+      setBeamActive(false);
+    }
+  }, [DEFAULT_GUN, equippedGunKey, simulation, combatantId]);
   
-  const removeArmorExplosion = useCallback((id) => {
-    setArmorExplosions(prev => prev.filter(e => e.id !== id));
-  }, []);
+  const dropMissile = useCallback((key) => {
+    if (key === DEFAULT_MISSILE) return;
+    
+    setMissileInventory(prev => prev.filter(e => e.key !== key));
+    
+    if (key === equippedMissileKey) {
+      const fallback = missileInventory.find(e => e.key === DEFAULT_MISSILE);
+      const weapon = applyWeaponLevel(COMBAT_CONFIG.MISSILES[DEFAULT_MISSILE], weaponLevels[DEFAULT_MISSILE]);
+      
+      setEquippedMissileKey(DEFAULT_MISSILE);
+      simulation.setAmmo(fallback ? fallback.ammo : weapon.maxAmmo, combatantId);
+      simulation.setWeaponTimer('missile', 0, combatantId);
+      setThorActive(false);
+    }
+  }, [DEFAULT_MISSILE, equippedMissileKey, missileInventory, weaponLevels, simulation, combatantId]);
+  
+  const cycleGun = useCallback((direction = 1) => {
+    if (weaponSwitchLocked || gunInventory.length < 2) return;
+    
+    const index = gunInventory.findIndex(e => e.key === equippedGunKey);
+    const next = gunInventory[(index + direction + gunInventory.length) % gunInventory.length];
+    equipGun(next.key);
+  }, [weaponSwitchLocked, gunInventory, equippedGunKey, equipGun]);
+  
+  const cycleMissile = useCallback((direction = 1) => {
+    if (weaponSwitchLocked || missileInventory.length < 2) return;
+    
+    const index = missileInventory.findIndex(e => e.key === equippedMissileKey);
+    const next = missileInventory[(index + direction + missileInventory.length) % missileInventory.length];
+    equipMissile(next.key);
+  }, [weaponSwitchLocked, missileInventory, equippedMissileKey, equipMissile]);
+  
+  // Moves a weapon's level by delta within its levels table. Returns the new level,
+  // or false if the weapon is unknown or already at the limit.
+  const changeWeaponLevel = useCallback((weaponName, delta, reason) => {
+    const weapon = COMBAT_CONFIG.GUNS[weaponName] || COMBAT_CONFIG.MISSILES[weaponName];
+    if (!weapon) return false;
+    
+    const previousLevel = weaponLevels[weaponName] || 1;
+    const level = MathUtils.clamp(previousLevel + delta, 1, getMaxWeaponLevel(weapon));
+    if (level === previousLevel) return false;
+    
+    setWeaponLevels(prev => ({ ...prev, [weaponName]: level }));
+    onWeaponLevelChange?.({ weapon: weaponName, level, previousLevel, reason });
+    return level;
+  }, [weaponLevels, onWeaponLevelChange]);
+  
+  const announcePickup = useCallback((kind, name) => {
+    simulation.emit(COMBAT_EVENTS.PICKUP, { combatantId, kind, name });
+  }, [simulation, combatantId]);
+  
+  const pickupUpgrade = useCallback((weaponName) => {
+    announcePickup('upgrade', weaponName);
+    return changeWeaponLevel(weaponName, 1, 'upgrade');
+  }, [changeWeaponLevel, announcePickup]);
+  
+  // Death penalty; call from the game's own death handling
+  const downgradeOnDeath = useCallback(() => {
+    const lost = COMBAT_CONFIG.UPGRADES.LEVELS_LOST_ON_DEATH;
+    if (!lost) return;
+    
+    const changes = Object.entries(weaponLevels)
+      .map(([weapon, previousLevel]) => ({ weapon, previousLevel, level: Math.max(1, previousLevel - lost) }))
+      .filter(change => change.level !== change.previousLevel);
+    if (changes.length === 0) return;
+    
+    setWeaponLevels(prev => {
+      const next = { ...prev };
+      changes.forEach(change => { next[change.weapon] = change.level; });
+      return next;
+    });
+    changes.forEach(change => onWeaponLevelChange?.({ ...change, reason: 'death' }));
+  }, [weaponLevels, onWeaponLevelChange]);
   
   const pickupGunPowerup = useCallback((weaponName) => {
     const weapon = COMBAT_CONFIG.GUNS[weaponName];
     if (!weapon) return;
     
     if (weapon.unlockable && !unlockedWeapons.includes(weaponName)) return;
+    announcePickup('gun', weaponName);
+    
+    if (COMBAT_CONFIG.UPGRADES.UPGRADE_ON_DUPLICATE && gunInventory.some(e => e.key === weaponName)) {
+      changeWeaponLevel(weaponName, 1, 'pickup');
+    }
+    
+    const entry = createInventoryEntry(weaponName, weapon, weaponName === DEFAULT_GUN);
     
-    setCurrentGun(weapon);
-    setGunPowerupTimer(weapon.duration || 10000);
-  }, [unlockedWeapons]);
+    setGunInventory(prev => addToInventory(
+      prev.map(e => (e.key === equippedGunKey && e.timer !== null ? { ...e, timer: gunPowerupTimer } : e)),
+      entry,
+      DEFAULT_GUN,
+      equippedGunKey
+    ));
+    
+    const { ENABLED, EQUIP_ON_PICKUP } = COMBAT_CONFIG.INVENTORY;
+    if (!ENABLED || EQUIP_ON_PICKUP || weaponName === equippedGunKey) {
+      setEquippedGunKey(weaponName);
+      simulation.setWeaponTimer('gun', entry.timer || 0, combatantId);
+      if (weaponName !== equippedGunKey) setBeamActive(false);
+    }
+  }, [unlockedWeapons, DEFAULT_GUN, equippedGunKey, gunPowerupTimer, gunInventory, changeWeaponLevel, announcePickup, simulation, combatantId]);
   
   const pickupMissilePowerup = useCallback((weaponName) => {
     const weapon = COMBAT_CONFIG.MISSILES[weaponName];
     if (!weapon) return;
+    announcePickup('missile', weaponName);
     
-    setCurrentMissile(weapon);
-    setMissileAmmo(weapon.maxAmmo || 999);
-    if (weapon.duration) {
-      setMissilePowerupTimer(weapon.duration);
+    let level = weaponLevels[weaponName] || 1;
+    if (COMBAT_CONFIG.UPGRADES.UPGRADE_ON_DUPLICATE && missileInventory.some(e => e.key === weaponName)) {
+      level = changeWeaponLevel(weaponName, 1, 'pickup') || level;
     }
     
-    if (weapon.rodImpactInstant) {
-      setThorActive(true);
+    const leveled = applyWeaponLevel(weapon, level);
+    const entry = createInventoryEntry(weaponName, leveled, weaponName === DEFAULT_MISSILE);
+    
+    setMissileInventory(prev => addToInventory(
+      prev.map(e => (
+        e.key === equippedMissileKey 
+          ? { ...e, ammo: missileAmmo, timer: e.timer === null ? null : missilePowerupTimer } 
+          : e
+      )),
+      entry,
+      DEFAULT_MISSILE,
+      equippedMissileKey
+    ));
+    
+    const { ENABLED, EQUIP_ON_PICKUP } = COMBAT_CONFIG.INVENTORY;
+    if (!ENABLED || EQUIP_ON_PICKUP || weaponName === equippedMissileKey) {
+      setEquippedMissileKey(weaponName);
+      simulation.setAmmo(entry.ammo, combatantId);
+      simulation.setWeaponTimer('missile', entry.timer || 0, combatantId);
+      setThorActive(!!weapon.rodImpactInstant);
     }
-  }, []);
+  }, [
+    DEFAULT_MISSILE, 
+    equippedMissileKey, 
+    missileAmmo, 
+    missilePowerupTimer, 
+    weaponLevels, 
+    missileInventory, 
+    changeWeaponLevel,
+    announcePickup,
+    simulation,
+    combatantId,
+  ]);
+  
+  // Inventory as shown to the HUD and context, with the equipped weapon's live values
+  const gunInventoryView = useMemo(() => gunInventory.map(e => (
+    e.key === equippedGunKey && e.timer !== null ? { ...e, timer: gunPowerupTimer } : e
+  )), [gunInventory, equippedGunKey, gunPowerupTimer]);
+  
+  const missileInventoryView = useMemo(() => missileInventory.map(e => (
+    e.key === equippedMissileKey 
+      ? { ...e, ammo: missileAmmo, timer: e.timer === null ? null : missilePowerupTimer } 
+      : e
+  )), [missileInventory, equippedMissileKey, missileAmmo, missilePowerupTimer]);
+  
+  // Weapon wheel lists every held weapon, guns first
+  const wheelItems = useMemo(() => [
+    ...gunInventoryView.map(entry => ({ slot: 'gun', key: entry.key, entry })),
+    ...missileInventoryView.map(entry => ({ slot: 'missile', key: entry.key, entry })),
+  ], [gunInventoryView, missileInventoryView]);
+  
+  const selectWheelItem = useCallback((item) => {
+    if (!item || weaponSwitchLocked) return;
+    
+    if (item.slot === 'gun') {
+      equipGun(item.key);
+    } else {
+      equipMissile(item.key);
+    }
+    setActiveWeaponType(item.slot);
+  }, [weaponSwitchLocked, equipGun, equipMissile]);
+  
+  const moveWheelSelection = useCallback((direction) => {
+    if (wheelItems.length === 0) return;
+    
+    setWheelSelection(prev => {
+      const index = prev ? wheelItems.findIndex(i => i.slot === prev.slot && i.key === prev.key) : -1;
+      const next = wheelItems[(index + direction + wheelItems.length) % wheelItems.length];
+      return { slot: next.slot, key: next.key };
+    });
+  }, [wheelItems]);
+  
+  useEffect(() => {
+    if (!nextGunInput && !prevGunInput) return;
+    
+    const now = Date.now();
+    if (now - lastCycleGunTime.current < COMBAT_CONFIG.INVENTORY.CYCLE_COOLDOWN) return;
+    lastCycleGunTime.current = now;
+    
+    const direction = nextGunInput ? 1 : -1;
+    if (weaponWheelInput) {
+      moveWheelSelection(direction);
+    } else {
+      cycleGun(direction);
+    }
+  }, [nextGunInput, prevGunInput, weaponWheelInput, moveWheelSelection, cycleGun]);
+  
+  // Opening the wheel highlights the equipped weapon; releasing it equips the highlight
+  const wheelWasOpen = useRef(false);
+  useEffect(() => {
+    if (weaponWheelInput && !wheelWasOpen.current) {
+      const key = activeWeaponType === 'gun' ? equippedGunKey : equippedMissileKey;
+      setWheelSelection({ slot: activeWeaponType, key });
+    } else if (!weaponWheelInput && wheelWasOpen.current) {
+      selectWheelItem(wheelSelection);
+      setWheelSelection(null);
+    }
+    wheelWasOpen.current = weaponWheelInput;
+  }, [weaponWheelInput, activeWeaponType, equippedGunKey, equippedMissileKey, wheelSelection, selectWheelItem]);
   
   const pickupPassive = useCallback((passiveName) => {
     const config = COMBAT_CONFIG.PASSIVES[passiveName];
     if (!config) return;
     
-    setActivePassives(prev => ({
-      ...prev,
-      [passiveName]: config.duration,
-    }));
+    announcePickup('passive', passiveName);
+    simulation.addPassive(passiveName, config.duration, combatantId);
+    setActivePassives(simulation.getCombatant(combatantId).passives);
     
     if (config.forcesGunMode) {
       setActiveWeaponType('gun');
     }
-  }, []);
+  }, [simulation, combatantId, announcePickup]);
   
   useEffect(() => {
     if (getMovementMultiplier) {
@@ -1494,6 +2920,10 @@ export function CombatSystem({
     }
   }, [activePassives, getMovementMultiplier, getBarrelRollMultiplier, getEvadeCooldownMultiplier, getBoostMultiplier, getBoostCooldownMultiplier, getDamageReduction]);
   
+  const activeBehavior = getWeaponBehavior(activeWeaponType === 'gun' ? currentGun : currentMissile);
+  const gunCharge = useMemo(() => getChargeConfig(currentGun), [currentGun]);
+  const activeHeat = heatLevels[activeWeaponType === 'gun' ? currentGun.name : currentMissile.name];
+  
   const contextValue = useMemo(() => ({
     activeWeaponType,
     currentGun,
@@ -1508,6 +2938,29 @@ export function CombatSystem({
     pickupMissilePowerup,
     pickupPassive,
     handlePlayerDamage,
+    playerShield,
+    playerHull,
+    repairHull,
+    chargeLevel,
+    chargeMaxLevel: gunCharge?.maxLevel || 0,
+    heat: activeHeat?.heat || 0,
+    heatMax: activeHeat?.max || 0,
+    isOverheated: !!activeHeat?.overheated,
+    isVenting: !!activeHeat?.venting,
+    heatLevels,
+    ventHeat,
+    gunInventory: gunInventoryView,
+    missileInventory: missileInventoryView,
+    equippedGunKey,
+    equippedMissileKey,
+    equipGun,
+    equipMissile,
+    cycleGun,
+    cycleMissile,
+    weaponLevels,
+    pickupUpgrade,
+    downgradeOnDeath,
+    simulation,
     COMBAT_CONFIG,
   }), [
     activeWeaponType, 
@@ -1522,36 +2975,56 @@ export function CombatSystem({
     pickupMissilePowerup,
     pickupPassive,
     handlePlayerDamage,
+    playerShield,
+    playerHull,
+    repairHull,
+    chargeLevel,
+    gunCharge,
+    activeHeat,
+    heatLevels,
+    ventHeat,
+    gunInventoryView,
+    missileInventoryView,
+    equippedGunKey,
+    equippedMissileKey,
+    equipGun,
+    equipMissile,
+    cycleGun,
+    cycleMissile,
+    weaponLevels,
+    pickupUpgrade,
+    downgradeOnDeath,
+    simulation,
   ]);
   
   return (
     <CombatContext.Provider value={contextValue}>
-      {projectiles.map(proj => (
-        <GunProjectile
-          key={proj.id}
-          id={proj.id}
-          position={proj.position}
-          direction={proj.direction}
-          config={proj.config}
-          onExpire={removeProjectile}
-          onHit={handleProjectileHit}
-          enemies={enemies}
-          onGravityAttach={handleGravityAttach}
+      {worldHost && <InstancedProjectiles simulation={simulation} />}
+      
+      {chainArcs.map(arc => (
+        <ChainLightningArc
+          key={arc.id}
+          id={arc.id}
+          from={arc.from}
+          to={arc.to}
+          color={arc.color}
+          onExpire={removeChainArc}
         />
       ))}
       
-      {multiLockProjectiles.map(proj => (
-        <MultiLockProjectile
-          key={proj.id}
-          id={proj.id}
-          position={proj.position}
-          target={proj.target}
-          config={proj.config}
-          onExpire={removeMultiLockProjectile}
-          onHit={handleProjectileHit}
-        />
+      {worldHost && simulation.chargedShots.map(shot => (
+        <ChargedShot key={shot.id} entity={shot} />
       ))}
       
+      {chargeLevel > 0 && playerPosition && (
+        <ChargeGlow
+          position={playerPosition}
+          charge={chargeLevel}
+          maxLevel={gunCharge?.maxLevel || COMBAT_CONFIG.CHARGE.MAX_LEVEL}
+          color={gunCharge?.color || COMBAT_CONFIG.CHARGE.COLOR}
+        />
+      )}
+      
       {beamActive && playerPosition && (
         <BeamWeapon
           origin={playerPosition}
@@ -1561,32 +3034,18 @@ export function CombatSystem({
           config={currentGun}
           isActive={beamActive}
           enemies={enemies}
+          broadphase={simulation.grid}
+          occlusion={occlusion}
           onHit={handleProjectileHit}
+          friendlies={friendlies}
+          onFriendlyHit={handleFriendlyHit}
+          rivals={rivals}
+          onRivalHit={handleRivalBeamHit}
         />
       )}
       
-      {gravityWells.map(well => (
-        <GravityWell
-          key={well.id}
-          id={well.id}
-          anchorEnemy={well.anchorEnemy}
-          config={well.config}
-          onExpire={removeGravityWell}
-          onGravityKill={handleGravityEffect}
-          enemies={enemies}
-        />
-      ))}
-      
-      {missiles.map(missile => (
-        <Missile
-          key={missile.id}
-          id={missile.id}
-          position={missile.position}
-          target={missile.target}
-          config={missile.config}
-          onExpire={removeMissile}
-          onHit={handleProjectileHit}
-        />
+      {worldHost && simulation.gravityWells.map(well => (
+        <GravityWell key={well.id} entity={well} />
       ))}
       
       {thorActive && currentMissile.rodImpactInstant && playerPosition && (
@@ -1598,23 +3057,40 @@ export function CombatSystem({
         />
       )}
       
-      {thorStrikes.map(strike => (
-        <ThorRodStrike
-          key={strike.id}
-          id={strike.id}
-          target={strike.target}
-          config={strike.config}
-          onExpire={removeThorStrike}
-          onHit={handleProjectileHit}
-        />
+      {worldHost && simulation.thorStrikes.map(strike => (
+        <ThorRodStrike key={strike.id} entity={strike} />
+      ))}
+      
+      {worldHost && simulation.customEntities.map(entity => {
+        const ProjectileComponent = WEAPON_REGISTRY[entity.weaponId]?.ProjectileComponent;
+        if (!ProjectileComponent) return null;
+        
+        return (
+          <ProjectileComponent
+            key={entity.id}
+            {...entity}
+            enemies={enemies}
+            onExpire={(id) => simulation.removeEntity(id)}
+            onHit={handleProjectileHit}
+          />
+        );
+      })}
+      
+      {worldHost && simulation.smartbombs.map(bomb => (
+        <SmartbombEffect key={bomb.id} entity={bomb} />
+      ))}
+      
+      {worldHost && simulation.flares.map(flare => (
+        <Flare key={flare.id} entity={flare} />
       ))}
       
-      {smartbombActive && (
-        <SmartbombEffect
-          onComplete={() => setSmartbombActive(false)}
+      {enemyWeapons && (
+        <EnemyArsenal
           enemies={enemies}
-          onHit={handleProjectileHit}
-          config={COMBAT_CONFIG.MISSILES.SMARTBOMB}
+          enemyWeapons={enemyWeapons}
+          playerPosition={playerPosition}
+          simulation={simulation}
+          combatantId={combatantId}
         />
       )}
       
@@ -1626,6 +3102,10 @@ export function CombatSystem({
         />
       ))}
       
+      {friendlyMarkers.map(friendly => (
+        <LockOnIndicator key={friendly.id} target={friendly} isFriendly />
+      ))}
+      
       {autoLockEnabled && targeting.currentTarget && (
         <LockOnIndicator 
           target={targeting.currentTarget} 
@@ -1634,7 +3114,24 @@ export function CombatSystem({
           isMultiLockActive={activePassives.MULTILOCK > 0}
         />
       )}
-      {(activeWeaponType === 'missile' || activePassives.MULTILOCK > 0) && 
+      {autoLockEnabled && !targeting.currentTarget && targeting.lockCandidate && (
+        <LockOnIndicator
+          target={targeting.lockCandidate}
+          isLocked={false}
+          isPrimary={false}
+          progress={targeting.lockProgress}
+        />
+      )}
+      {targeting.paintedLocks.map(lock => (
+        <LockOnIndicator
+          key={lock.target.id}
+          target={lock.target}
+          isLocked={true}
+          isPrimary={false}
+          lockCount={lock.count}
+        />
+      ))}
+      {(activeWeaponType === 'missile' || activePassives.MULTILOCK > 0 || activeBehavior?.lockOn) && 
         targeting.lockedTargets.map((target, i) => (
           <LockOnIndicator 
             key={target.id} 
@@ -1656,9 +3153,30 @@ export function CombatSystem({
           activeWeaponType={activeWeaponType}
           powerupTimers={{ gun: gunPowerupTimer, missile: missilePowerupTimer }}
           lockedTargets={targeting.lockedTargets}
+          paintedLockCount={targeting.paintedLockCount}
           activePassives={activePassives}
           weaponSwitchLocked={weaponSwitchLocked}
+          playerShield={playerShield}
+          playerHull={playerHull}
+          chargeLevel={chargeLevel}
+          chargeMaxLevel={gunCharge?.maxLevel || 0}
+          heatLevels={heatLevels}
+          gunInventory={gunInventoryView}
+          missileInventory={missileInventoryView}
+          equippedGunKey={equippedGunKey}
+          equippedMissileKey={equippedMissileKey}
+          weaponLevels={weaponLevels}
         />
+        {weaponWheelInput && (
+          <WeaponWheel
+            items={wheelItems}
+            selection={wheelSelection}
+            equippedGunKey={equippedGunKey}
+            equippedMissileKey={equippedMissileKey}
+            onHighlight={(item) => setWheelSelection({ slot: item.slot, key: item.key })}
+            onSelect={selectWheelItem}
+          />
+        )}
       </Html>
     </CombatContext.Provider>
   );
@@ -1667,18 +3185,23 @@ export function CombatSystem({
 // ============================================================================
 // EXTENDED INPUT MANAGER HOOK
 // ============================================================================
-export function useCombatInputManager() {
+// For local co-op, give each player a gamepadIndex and turn keyboard off for
+// all but one of them
+export function useCombatInputManager({ gamepadIndex = 0, keyboard = true } = {}) {
   const [combatKeys, setCombatKeys] = useState({
-    fire: false, switchWeapon: false, toggleLock: false, cycleTargetNext: false, cycleTargetPrev: false,
+    fire: false, switchWeapon: false, toggleLock: false, cycleTargetNext: false, cycleTargetPrev: false, vent: false,
+    nextGun: false, prevGun: false, weaponWheel: false,
   });
   
   const [gamepadCombat, setGamepadCombat] = useState({
-    fire: false, switchWeapon: false, toggleLock: false, cycleTargetNext: false, cycleTargetPrev: false,
+    fire: false, switchWeapon: false, toggleLock: false, cycleTargetNext: false, cycleTargetPrev: false, vent: false,
+    nextGun: false, prevGun: false, weaponWheel: false,
   });
   
   useEffect(() => {
     const keyMap = {
       'Space': 'fire', 'KeyF': 'switchWeapon', 'Tab': 'toggleLock', 'KeyQ': 'cycleTargetPrev', 'KeyE': 'cycleTargetNext',
+      'KeyV': 'vent', 'KeyX': 'nextGun', 'KeyZ': 'prevGun', 'KeyC': 'weaponWheel',
     };
     
     const handleKeyDown = (e) => {
@@ -1694,14 +3217,16 @@ export function useCombatInputManager() {
     const handleMouseDown = (e) => { if (e.button === 0) setCombatKeys(k => ({ ...k, fire: true })); };
     const handleMouseUp = (e) => { if (e.button === 0) setCombatKeys(k => ({ ...k, fire: false })); };
     
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
-    window.addEventListener('mousedown', handleMouseDown);
-    window.addEventListener('mouseup', handleMouseUp);
+    if (keyboard) {
+      window.addEventListener('keydown', handleKeyDown);
+      window.addEventListener('keyup', handleKeyUp);
+      window.addEventListener('mousedown', handleMouseDown);
+      window.addEventListener('mouseup', handleMouseUp);
+    }
     
     const pollGamepad = () => {
       const gamepads = navigator.getGamepads();
-      const gp = gamepads[0];
+      const gp = gamepads[gamepadIndex];
       if (gp) {
         setGamepadCombat({
           fire: gp.buttons[6]?.pressed || gp.buttons[7]?.pressed || false,
@@ -1709,6 +3234,10 @@ export function useCombatInputManager() {
           toggleLock: gp.buttons[8]?.pressed || false,
           cycleTargetPrev: gp.buttons[4]?.pressed || false,
           cycleTargetNext: gp.buttons[5]?.pressed || false,
+          vent: gp.buttons[2]?.pressed || false,
+          weaponWheel: gp.buttons[12]?.pressed || false,
+          prevGun: gp.buttons[14]?.pressed || false,
+          nextGun: gp.buttons[15]?.pressed || false,
         });
       }
     };
@@ -1722,7 +3251,7 @@ export function useCombatInputManager() {
       window.removeEventListener('mouseup', handleMouseUp);
       clearInterval(gamepadInterval);
     };
-  }, []);
+  }, [gamepadIndex, keyboard]);
   
   return useMemo(() => ({
     fire: combatKeys.fire || gamepadCombat.fire,
@@ -1730,6 +3259,10 @@ export function useCombatInputManager() {
     toggleLock: combatKeys.toggleLock || gamepadCombat.toggleLock,
     cycleTargetNext: combatKeys.cycleTargetNext || gamepadCombat.cycleTargetNext,
     cycleTargetPrev: combatKeys.cycleTargetPrev || gamepadCombat.cycleTargetPrev,
+    vent: combatKeys.vent || gamepadCombat.vent,
+    nextGun: combatKeys.nextGun || gamepadCombat.nextGun,
+    prevGun: combatKeys.prevGun || gamepadCombat.prevGun,
+    weaponWheel: combatKeys.weaponWheel || gamepadCombat.weaponWheel,
   }), [combatKeys, gamepadCombat]);
 }
 
@@ -1740,14 +3273,21 @@ export default CombatSystem;
 
 export {
   CombatHUD,
-  GunProjectile,
-  MultiLockProjectile,
+  ChainLightningArc,
+  ChargedShot,
+  ChargeGlow,
   BeamWeapon,
   GravityWell,
-  Missile,
+  InstancedProjectiles,
   ThorRodStrike,
   ThorTargetingLaser,
   SmartbombEffect,
+  HostileBeam,
+  EnemyArsenal,
   ActiveArmorExplosion,
   LockOnIndicator,
+  HeatGauge,
+  InventoryChips,
+  WeaponLevelBadge,
+  WeaponWheel,
 };
@@ -0,0 +1,137 @@
+// ============================================================================
+// BROADPHASE BENCHMARK
+// ============================================================================
+// Runs the headless CombatSimulation against typical wave sizes with the
+// spatial grid on and off, and reports the cost per fixed step. Both runs use
+// the same seed, so their hit counts must match. Each timing is the best of
+// RUNS to keep garbage collection pauses out of the comparison.
+//
+//   node benchmarks/broadphase.bench.js [steps]
+//
+// Needs three installed and a Node version that loads ES modules from .js
+// files (22+, or 20 with --experimental-detect-module).
+import { Vector3 } from 'three';
+import { COMBAT_CONFIG, CombatSimulation } from '../CombatSimulation.js';
+
+const WAVE_SIZES = [25, 50, 100, 200, 400];
+const STEPS = Number(process.argv[2]) || 600;
+const RUNS = 3;
+
+// Small seeded PRNG (mulberry32) so every run sees the same wave
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function placeEnemy(enemy, random) {
+  enemy.position.set((random() - 0.5) * 120, (random() - 0.5) * 40, -20 - random() * 120);
+  enemy.origin = enemy.position.clone();
+  enemy.health = 100;
+}
+
+function createWave(size, random) {
+  return Array.from({ length: size }, (_, i) => {
+    const enemy = { id: `e${i}`, position: new Vector3(), hitRadius: 1.5, phase: random() * Math.PI * 2 };
+    placeEnemy(enemy, random);
+    return enemy;
+  });
+}
+
+function runScenario(size, broadphase, steps = STEPS) {
+  COMBAT_CONFIG.BROADPHASE.ENABLED = broadphase;
+  
+  const random = createRandom(size);
+  const enemies = createWave(size, random);
+  const byId = new Map(enemies.map(enemy => [enemy.id, enemy]));
+  const sim = new CombatSimulation();
+  const { STEP } = COMBAT_CONFIG.SIMULATION;
+  const { RAPID, FLAK, LIGHTNING } = COMBAT_CONFIG.GUNS;
+  const { HELLFIRE } = COMBAT_CONFIG.MISSILES;
+  let hits = 0;
+  
+  sim.setPlayerPosition(new Vector3());
+  sim.setAmmo(Infinity);
+  sim.setHandlers({
+    onHit: (_, enemyId, damage) => {
+      const enemy = byId.get(enemyId);
+      if (!enemy) return;
+      hits++;
+      enemy.health -= damage;
+      if (enemy.health <= 0) placeEnemy(enemy, random);
+    },
+  });
+  
+  const aimAt = (enemy) => enemy.position.clone().normalize();
+  const start = performance.now();
+  
+  for (let i = 0; i < steps; i++) {
+    const t = sim.time / 1000;
+    enemies.forEach(enemy => {
+      enemy.position.copy(enemy.origin);
+      enemy.position.x += Math.sin(t + enemy.phase) * 6;
+      enemy.position.y += Math.cos(t * 0.7 + enemy.phase) * 3;
+    });
+    sim.setEnemies(enemies);
+    
+    // Twin RAPID every 100ms, FLAK spread every 250ms, LIGHTNING every 150ms and
+    // a HELLFIRE volley each second
+    if (i % 6 === 0) {
+      sim.spawnProjectile(RAPID, aimAt(enemies[Math.floor(random() * size)]));
+      sim.spawnProjectile(RAPID, aimAt(enemies[Math.floor(random() * size)]));
+    }
+    if (i % 15 === 0) {
+      const dir = aimAt(enemies[Math.floor(random() * size)]);
+      for (let p = 0; p < FLAK.projectilesPerShot; p++) {
+        const spread = new Vector3((random() - 0.5) * FLAK.spread, (random() - 0.5) * FLAK.spread, 0);
+        sim.spawnProjectile(FLAK, dir.clone().add(spread).normalize());
+      }
+    }
+    if (i % 9 === 0) {
+      sim.spawnProjectile(LIGHTNING, aimAt(enemies[Math.floor(random() * size)]));
+    }
+    if (i % 60 === 0) {
+      for (let m = 0; m < HELLFIRE.maxTargets; m++) {
+        sim.spawnMissile(HELLFIRE, enemies[Math.floor(random() * size)], { delay: m * 50 });
+      }
+    }
+    
+    sim.step(STEP);
+  }
+  
+  return { ms: (performance.now() - start) / steps, hits };
+}
+
+const format = (ms) => `${(ms * 1000).toFixed(1)}µs`;
+const rows = [];
+
+// Warm up the JIT on both paths before timing anything
+runScenario(WAVE_SIZES[0], false, 300);
+runScenario(WAVE_SIZES[0], true, 300);
+
+function bestOf(size, broadphase) {
+  const runs = Array.from({ length: RUNS }, () => runScenario(size, broadphase));
+  return runs.reduce((best, run) => (run.ms < best.ms ? run : best));
+}
+
+WAVE_SIZES.forEach(size => {
+  const scan = bestOf(size, false);
+  const grid = bestOf(size, true);
+  
+  rows.push({
+    enemies: size,
+    'scan/step': format(scan.ms),
+    'grid/step': format(grid.ms),
+    speedup: `${(scan.ms / grid.ms).toFixed(2)}x`,
+    hits: grid.hits,
+    'hits match': scan.hits === grid.hits,
+  });
+});
+
+COMBAT_CONFIG.BROADPHASE.ENABLED = true;
+console.log(`${STEPS} steps per run, best of ${RUNS}`);
+console.table(rows);
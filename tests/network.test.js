@@ -0,0 +1,110 @@
+// ============================================================================
+// NETWORK LOOPBACK CHECKS
+// ============================================================================
+// A host and a client simulation joined by the loopback transport. The client
+// predicts its own shots, takes credit only once the host confirms them, and
+// gets HIT_REJECTED for hits the host never saw.
+//
+//   node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { COMBAT_CONFIG, COMBAT_EVENTS, CombatSimulation } from '../CombatSimulation.js';
+import { CombatNetSession, createLoopbackTransport, NET_ROLES } from '../CombatNetwork.js';
+
+const DT = 1 / 60;
+
+// Host 'player' at the origin, client 'p2' beside it, one enemy ahead of p2.
+// hostEnemyPosition moves the enemy on the host only, so the two disagree.
+function connect({ hostEnemyPosition } = {}) {
+  const log = [];
+  const enemyPosition = new Vector3(5, 0, -30);
+  
+  const host = new CombatSimulation();
+  host.setPlayerPosition(new Vector3(0, 0, 0));
+  host.setCombatant('p2', { position: new Vector3(5, 0, 0), remote: true });
+  host.setEnemies([{ id: 'e', position: (hostEnemyPosition || enemyPosition).clone(), health: 100 }]);
+  
+  const client = new CombatSimulation();
+  client.setCombatant('p2', { position: new Vector3(5, 0, 0) });
+  client.setHandlers({
+    onHit: (sourceId, enemyId, damage, options) => log.push(`hit ${enemyId} by ${options.attackerId}`),
+  }, 'p2');
+  client.setEnemies([{ id: 'e', position: enemyPosition.clone(), health: 100 }]);
+  client.subscribe(event => {
+    if (event.type === COMBAT_EVENTS.HIT_REJECTED) log.push(`rejected ${event.netId}`);
+  });
+  
+  const net = createLoopbackTransport();
+  const sessions = [
+    new CombatNetSession({ simulation: host, transport: net.host, role: NET_ROLES.HOST }),
+    new CombatNetSession({
+      simulation: client, transport: net.connect('p2'), role: NET_ROLES.CLIENT, combatantId: 'p2',
+    }),
+  ];
+  
+  const run = (steps, flush = true) => {
+    for (let i = 0; i < steps; i++) {
+      host.step(DT);
+      client.step(DT);
+      if (flush) net.flush();
+    }
+  };
+  const dispose = () => sessions.forEach(session => session.dispose());
+  
+  return { host, client, net, log, run, dispose };
+}
+
+test('a predicted client hit is credited only once the host confirms it', () => {
+  const { client, net, log, run, dispose } = connect();
+  
+  client.spawnProjectile(COMBAT_CONFIG.GUNS.RAPID, new Vector3(0, 0, -1), { ownerId: 'p2' });
+  net.flush();
+  
+  // Hold back the host's replies until the shot has landed locally
+  for (let i = 0; i < 240 && client.predictions.size === 0; i++) run(1, false);
+  assert.equal(client.predictions.size, 1);
+  assert.deepEqual(log, []);
+  
+  run(60);
+  assert.deepEqual(log, ['hit e by p2']);
+  assert.equal(client.predictions.size, 0);
+  dispose();
+});
+
+test('a hit the host never saw comes back as HIT_REJECTED', () => {
+  const { client, log, run, dispose } = connect({ hostEnemyPosition: new Vector3(40, 0, -30) });
+  
+  client.spawnProjectile(COMBAT_CONFIG.GUNS.RAPID, new Vector3(0, 0, -1), { ownerId: 'p2' });
+  run(240);
+  
+  assert.equal(log.length, 1);
+  assert.match(log[0], /^rejected /);
+  assert.equal(client.predictions.size, 0);
+  dispose();
+});
+
+test('host multi-lock and charged shots reach a client that has no host position', () => {
+  const { host, client, run, dispose } = connect();
+  host.setPlayerPosition(new Vector3(10, 0, 0));
+  const [enemy] = host.enemies;
+  
+  host.spawnMultiLockProjectile(COMBAT_CONFIG.MISSILES.HELLFIRE, enemy);
+  host.spawnChargedShot({
+    name: 'RAPID (CHARGED)',
+    damage: 20,
+    explosionRadius: 4,
+    projectileSpeed: 70,
+    projectileLifetime: 2500,
+    projectileScale: 0.5,
+    homingTurnRate: 5,
+    chargeLevel: 1,
+  }, new Vector3(0, 0, -1), enemy);
+  run(1);
+  
+  assert.equal(client.multiLockProjectiles.length, 1);
+  assert.equal(client.chargedShots.length, 1);
+  assert.ok(client.multiLockProjectiles[0].position.distanceTo(new Vector3(10, 0, 0)) < 1);
+  assert.ok(client.chargedShots[0].position.distanceTo(new Vector3(10, 0, 0)) < 2);
+  dispose();
+});
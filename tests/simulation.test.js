@@ -0,0 +1,105 @@
+// ============================================================================
+// HEADLESS SIMULATION CHECKS
+// ============================================================================
+// Steps CombatSimulation in plain Node, with no React or WebGL. The same seed
+// and inputs must give the same hit sequence, tick for tick.
+//
+//   node --test tests/
+//
+// Needs three installed and a Node version that loads ES modules from .js
+// files (22+, or 20 with --experimental-detect-module).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import { COMBAT_CONFIG, CombatSimulation } from '../CombatSimulation.js';
+
+const STEPS = 3000;
+
+// A wave with every chance roll in play (flares, point defense, evasion), hit by
+// guns, splash, chain lightning and missiles. Returns each hit as a string.
+function runWave(seed) {
+  const hits = [];
+  const sim = new CombatSimulation({
+    onHit: (sourceId, enemyId, damage, options) => {
+      hits.push(`${sim.time.toFixed(0)} ${enemyId} ${damage.toFixed(2)} ${options.partId ?? ''}`);
+    },
+    onMissileDecoyed: (missileId, info) => hits.push(`${sim.time.toFixed(0)} decoyed ${missileId} ${info.reason}`),
+    onMissileDestroyed: (missileId) => hits.push(`${sim.time.toFixed(0)} destroyed ${missileId}`),
+  });
+  sim.setSeed(seed);
+  sim.setPlayerPosition(new Vector3(0, 0, 0));
+  
+  const countermeasures = { flares: 2, evasion: 0.3, pointDefense: true };
+  const enemies = [];
+  for (let i = 0; i < 12; i++) {
+    enemies.push({
+      id: `e${i}`,
+      position: new Vector3((i % 4) * 6 - 9, Math.floor(i / 4) * 4, -50 - i * 2),
+      health: 100,
+      hitRadius: 2,
+      countermeasures: i % 3 === 0 ? countermeasures : null,
+    });
+  }
+  sim.setEnemies(enemies);
+  
+  for (let step = 0; step < STEPS; step++) {
+    if (step % 30 === 0) {
+      const target = enemies[(step / 30) % enemies.length];
+      const aim = target.position.clone().normalize();
+      sim.spawnProjectile(COMBAT_CONFIG.GUNS.RAPID, aim);
+      sim.spawnProjectile(COMBAT_CONFIG.GUNS.LIGHTNING, aim);
+      sim.spawnProjectile(COMBAT_CONFIG.GUNS.FLAK, aim);
+      sim.spawnMissile(COMBAT_CONFIG.MISSILES.HELLFIRE, target, { direction: aim });
+    }
+    sim.step(COMBAT_CONFIG.SIMULATION.STEP);
+  }
+  
+  return hits;
+}
+
+test('same seed and inputs give the same hit sequence', () => {
+  const first = runWave(7);
+  
+  assert.ok(first.length > 0, 'the wave should take hits');
+  assert.deepEqual(runWave(7), first);
+});
+
+test('the seed drives the chance rolls', () => {
+  const rolls = hits => hits.filter(hit => hit.includes('decoyed') || hit.includes('destroyed')).join('|');
+  const seeds = [1, 2, 3, 4, 5].map(seed => rolls(runWave(seed)));
+  
+  assert.ok(new Set(seeds).size > 1, 'different seeds should roll differently');
+});
+
+test('hostile gun shots collide using the player hit radius', () => {
+  const passAt = (offset, hitRadius) => {
+    let hits = 0;
+    const sim = new CombatSimulation({ onPlayerHit: () => hits++ });
+    sim.setPlayerPosition(new Vector3(0, 0, 0));
+    sim.setCombatant('player', { hitRadius });
+    sim.spawnProjectile(COMBAT_CONFIG.GUNS.RAPID, new Vector3(0, 0, 1), {
+      hostile: true,
+      sourceId: 'e',
+      position: new Vector3(offset, 0, -20),
+    });
+    for (let step = 0; step < 120; step++) sim.step(COMBAT_CONFIG.SIMULATION.STEP);
+    return hits;
+  };
+  
+  assert.equal(passAt(2.5, COMBAT_CONFIG.PLAYER.HIT_RADIUS), 0);
+  assert.equal(passAt(2.5, 4), 1);
+});
+
+test('rival lists are reused until the set of rivals changes', () => {
+  const sim = new CombatSimulation();
+  const { PLAYER_TEAM } = COMBAT_CONFIG.TEAMS;
+  sim.setCombatant('p2', { team: 'rivals', position: new Vector3(0, 0, -10) });
+  const rivals = sim.getRivals(PLAYER_TEAM);
+  
+  sim.setCombatant('p2', { position: new Vector3(5, 0, -10) });
+  assert.equal(sim.getRivals(PLAYER_TEAM), rivals);
+  assert.equal(rivals[0].position.x, 5);
+  
+  sim.setCombatant('p2', { team: PLAYER_TEAM });
+  assert.deepEqual(sim.getRivals(PLAYER_TEAM), []);
+});